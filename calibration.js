@@ -0,0 +1,190 @@
+// Cloth calibration: rolls a centre-ball shot down an endless table at each
+// power level and reports how far it travels, so a preset can be matched to
+// a real table and saved for the game to use.
+(function () {
+  "use strict";
+
+  // === CONFIG ===
+  // Same ball and playfield as game.js; the playfield is 756 px long, which
+  // stands for the 254 cm bed of a 9 ft table.
+  const BALL_RADIUS = 10;
+  const PLAYFIELD_PX = 756;
+  const PLAYFIELD_CM = 254;
+  const POWER_STEPS = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+  const TICKS_PER_SECOND = 1000 / PoolPhysics.TICK_MS;
+  const CUSTOM_CLOTH_KEY = "canvas-pool-custom-cloth";
+
+  const selectPreset = document.getElementById("select-preset");
+  const inputSlide = document.getElementById("input-slide");
+  const inputRoll = document.getElementById("input-roll");
+  const resultsBody = document.getElementById("calibration-results");
+  const chart = document.getElementById("calibration-chart");
+  const btnSave = document.getElementById("btn-save-cloth");
+  const status = document.getElementById("calibration-status");
+
+  // === SIMULATION ===
+  // No pockets and a table far longer than any shot, so nothing but cloth
+  // friction slows the ball.
+  function measure(cloth, powerPct) {
+    const table = {
+      width: 1e6,
+      height: 200,
+      rail: 0,
+      ballRadius: BALL_RADIUS,
+      slideFriction: cloth.slideFriction,
+      rollFriction: cloth.rollFriction,
+      cushionRestitution: 0.9,
+      cushionSpeedLoss: 0.02,
+      jawRestitution: 0.6,
+    };
+    const ball = { x: 100, y: 100, vx: 0, vy: 0, r: BALL_RADIUS, isCue: true };
+    const state = { table, pockets: [], balls: [ball] };
+    PoolPhysics.strike(
+      ball,
+      { x: 1, y: 0 },
+      (PoolPhysics.MAX_CUE_SPEED * powerPct) / 100
+    );
+    let ticks = 0;
+    while (PoolPhysics.isMoving(state) && ticks < 36000) {
+      PoolPhysics.step(state);
+      ticks++;
+    }
+    return { power: powerPct, distance: ball.x - 100, ticks };
+  }
+
+  function readCustomCloth() {
+    try {
+      return JSON.parse(localStorage.getItem(CUSTOM_CLOTH_KEY));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function readCloth() {
+    return {
+      slideFriction: Number(inputSlide.value),
+      rollFriction: Number(inputRoll.value),
+    };
+  }
+
+  function validCloth(cloth) {
+    return cloth.slideFriction > 0 && cloth.rollFriction > 0;
+  }
+
+  // === RENDERING ===
+  function renderTable(rows) {
+    resultsBody.textContent = "";
+    for (const row of rows) {
+      const tr = document.createElement("tr");
+      const cells = [
+        `${row.power}%`,
+        row.distance.toFixed(0),
+        (row.distance / PLAYFIELD_PX).toFixed(2),
+        ((row.distance / PLAYFIELD_PX) * PLAYFIELD_CM).toFixed(0),
+        (row.ticks / TICKS_PER_SECOND).toFixed(1),
+      ];
+      for (const text of cells) {
+        const td = document.createElement("td");
+        td.textContent = text;
+        tr.appendChild(td);
+      }
+      resultsBody.appendChild(tr);
+    }
+  }
+
+  // Horizontal bars with a tick for every table length.
+  function renderChart(rows) {
+    const ctx = chart.getContext("2d");
+    const w = chart.width;
+    const h = chart.height;
+    const left = 48;
+    const barH = h / rows.length;
+    const maxDist = Math.max(PLAYFIELD_PX, ...rows.map((r) => r.distance));
+    const scale = (w - left - 8) / maxDist;
+    ctx.clearRect(0, 0, w, h);
+    ctx.font = "12px system-ui, sans-serif";
+    ctx.textBaseline = "middle";
+
+    ctx.strokeStyle = "#374151";
+    for (let x = PLAYFIELD_PX; x <= maxDist; x += PLAYFIELD_PX) {
+      ctx.beginPath();
+      ctx.moveTo(left + x * scale, 0);
+      ctx.lineTo(left + x * scale, h);
+      ctx.stroke();
+    }
+
+    rows.forEach((row, i) => {
+      const y = i * barH;
+      ctx.fillStyle = "#9ca3af";
+      ctx.fillText(`${row.power}%`, 4, y + barH / 2);
+      ctx.fillStyle = "#22c55e";
+      ctx.fillRect(left, y + 3, row.distance * scale, barH - 6);
+    });
+  }
+
+  function update() {
+    const cloth = readCloth();
+    if (!validCloth(cloth)) {
+      status.textContent = "Both friction values must be greater than zero.";
+      btnSave.disabled = true;
+      return;
+    }
+    const rows = POWER_STEPS.map((p) => measure(cloth, p));
+    renderTable(rows);
+    renderChart(rows);
+    btnSave.disabled = false;
+    status.textContent = `Full power rolls ${(
+      rows[rows.length - 1].distance / PLAYFIELD_PX
+    ).toFixed(1)} table lengths.`;
+  }
+
+  // === CONTROLS ===
+  function loadPreset(key) {
+    const cloth =
+      key === "custom" ? readCustomCloth() : PoolPhysics.CLOTH_PRESETS[key];
+    if (!cloth) return;
+    inputSlide.value = cloth.slideFriction;
+    inputRoll.value = cloth.rollFriction;
+    update();
+  }
+
+  function init() {
+    for (const key of Object.keys(PoolPhysics.CLOTH_PRESETS)) {
+      const option = document.createElement("option");
+      option.value = key;
+      option.textContent = PoolPhysics.CLOTH_PRESETS[key].label;
+      selectPreset.appendChild(option);
+    }
+    if (readCustomCloth()) {
+      const option = document.createElement("option");
+      option.value = "custom";
+      option.textContent = "Custom (saved)";
+      selectPreset.appendChild(option);
+    }
+
+    selectPreset.addEventListener("change", () =>
+      loadPreset(selectPreset.value)
+    );
+    inputSlide.addEventListener("input", update);
+    inputRoll.addEventListener("input", update);
+    btnSave.addEventListener("click", () => {
+      const cloth = readCloth();
+      if (!validCloth(cloth)) return;
+      try {
+        localStorage.setItem(CUSTOM_CLOTH_KEY, JSON.stringify(cloth));
+      } catch (e) {
+        // ignore storage errors
+        status.textContent =
+          "Could not save: browser storage is unavailable or full.";
+        return;
+      }
+      status.textContent =
+        'Saved. Pick "Custom (calibrated)" under Cloth in the game.';
+    });
+
+    selectPreset.value = "standard";
+    loadPreset("standard");
+  }
+
+  init();
+})();
@@ -0,0 +1,148 @@
+/* global module */
+// Readers for the game's JSON files: recorded shots (replays) and challenge
+// level packs. Like physics.js they stay free of the DOM, so the page and
+// headless scripts accept and reject exactly the same files. Each parser
+// throws an Error with a short reason when the data can't be used.
+(() => {
+  const REPLAY_FORMAT = "canvas-pool-replay";
+  const REPLAY_VERSION = 1;
+  const LEVEL_PACK_FORMAT = "canvas-pool-levels";
+  const LEVEL_PACK_VERSION = 1;
+  const POCKET_KEYS = [
+    "top-left",
+    "top-side",
+    "top-right",
+    "bottom-left",
+    "bottom-side",
+    "bottom-right",
+  ];
+
+  // === REPLAYS ===
+  // Each frame holds one entry per ball: [x, y], or null once it is potted.
+  function isFramePosition(p) {
+    return (
+      p === null ||
+      (Array.isArray(p) &&
+        p.length === 2 &&
+        Number.isFinite(p[0]) &&
+        Number.isFinite(p[1]))
+    );
+  }
+
+  function parseReplay(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error("not a JSON file");
+    }
+    if (!data || data.format !== REPLAY_FORMAT) {
+      throw new Error("not a pool replay");
+    }
+    if (data.version !== REPLAY_VERSION) {
+      throw new Error(`unsupported version ${data.version}`);
+    }
+    const count = Array.isArray(data.balls) ? data.balls.length : 0;
+    const framesOk =
+      Array.isArray(data.frames) &&
+      data.frames.length > 0 &&
+      data.frames.every(
+        (f) =>
+          Array.isArray(f) && f.length === count && f.every(isFramePosition)
+      );
+    if (!count || !framesOk || !data.table || !(data.tickMs > 0)) {
+      throw new Error("replay data is incomplete");
+    }
+    return {
+      mode: data.mode,
+      table: data.table,
+      tickMs: data.tickMs,
+      strike: data.strike,
+      balls: data.balls,
+      frames: data.frames,
+      events: Array.isArray(data.events) ? data.events : [],
+    };
+  }
+
+  // === LEVEL PACKS ===
+  const fraction = (v) => typeof v === "number" && v >= 0 && v <= 1;
+  const objectBall = (n) => Number.isInteger(n) && n >= 1 && n <= 15;
+  const ballList = (v) =>
+    v === undefined || (Array.isArray(v) && v.every(objectBall));
+
+  function isValidGoal(goal) {
+    return (
+      !!goal &&
+      typeof goal === "object" &&
+      ballList(goal.pot) &&
+      ballList(goal.avoid) &&
+      (goal.firstContact === undefined || objectBall(goal.firstContact)) &&
+      (goal.cushions === undefined ||
+        (Number.isInteger(goal.cushions) && goal.cushions >= 0)) &&
+      (!goal.pocket || POCKET_KEYS.includes(goal.pocket)) &&
+      (!goal.zone || ["x", "y", "w", "h"].every((k) => fraction(goal.zone[k])))
+    );
+  }
+
+  // `tables` lists the table profiles a level may name.
+  function isPlayableLevel(l, tables) {
+    if (!l || typeof l.id !== "string" || !Array.isArray(l.balls)) {
+      return false;
+    }
+    const numbers = l.balls.map((b) => b && b.number);
+    return (
+      l.balls.every(
+        (b) =>
+          !!b &&
+          (b.number === 0 || objectBall(b.number)) &&
+          fraction(b.x) &&
+          fraction(b.y)
+      ) &&
+      new Set(numbers).size === numbers.length &&
+      Number.isInteger(l.shots) &&
+      l.shots >= 1 &&
+      (l.par === undefined || (Number.isInteger(l.par) && l.par >= 1)) &&
+      isValidGoal(l.goal) &&
+      (!l.table || tables.includes(l.table))
+    );
+  }
+
+  function parseLevelPack(data, tables = []) {
+    if (!data || data.format !== LEVEL_PACK_FORMAT) {
+      throw new Error("not a level pack");
+    }
+    if (data.version !== LEVEL_PACK_VERSION) {
+      throw new Error(`unsupported version ${data.version}`);
+    }
+    if (typeof data.id !== "string" || !Array.isArray(data.levels)) {
+      throw new Error("level pack data is incomplete");
+    }
+    const levels = data.levels.filter((l) => isPlayableLevel(l, tables));
+    if (!levels.length) throw new Error("no playable levels");
+    return {
+      id: data.id,
+      name: String(data.name || data.id),
+      levels: levels.map((l) => ({
+        ...l,
+        name: String(l.name || l.id),
+        description: String(l.description || ""),
+      })),
+    };
+  }
+
+  const PoolFormats = {
+    REPLAY_FORMAT,
+    REPLAY_VERSION,
+    LEVEL_PACK_FORMAT,
+    LEVEL_PACK_VERSION,
+    POCKET_KEYS,
+    parseReplay,
+    parseLevelPack,
+  };
+
+  if (typeof module === "object" && module.exports) {
+    module.exports = PoolFormats;
+  } else {
+    window.PoolFormats = PoolFormats;
+  }
+})();
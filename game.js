@@ -13,8 +13,87 @@
   const btnResetTable = document.getElementById("btn-reset-table");
   const btnHighContrast = document.getElementById("btn-high-contrast");
   const btnReducedMotion = document.getElementById("btn-reduced-motion");
+  const btnFps = document.getElementById("btn-fps");
   const btnToggleSound = document.getElementById("btn-toggle-sound");
+  const inputVolume = document.getElementById("input-volume");
+  const selectMode = document.getElementById("select-mode");
+  const btnPushOut = document.getElementById("btn-push-out");
+  const btnPassBack = document.getElementById("btn-pass-back");
+  const btnPlaceCue = document.getElementById("btn-place-cue");
+  const inputHeadString = document.getElementById("input-head-string");
+  const selectOpponent = document.getElementById("select-opponent");
+  const selectRace = document.getElementById("select-race");
+  const selectAiLevel = document.getElementById("select-ai-level");
+  const inputPlayer1 = document.getElementById("input-player-1");
+  const inputPlayer2 = document.getElementById("input-player-2");
+  const matchForm = document.getElementById("match-form");
+  const hudPlayerEls = [
+    document.getElementById("hud-player-1"),
+    document.getElementById("hud-player-2"),
+  ];
+  const hudRaceEl = document.getElementById("hud-race");
+  const matchSummaryEl = document.getElementById("match-summary");
+  const matchSummaryResultEl = document.getElementById("match-summary-result");
+  const matchSummaryRacksEl = document.getElementById("match-summary-racks");
+  const btnSummaryNewMatch = document.getElementById("btn-summary-new-match");
   const helpPanel = document.getElementById("help-panel");
+  const selectAimAssist = document.getElementById("select-aim-assist");
+  const selectPockets = document.getElementById("select-pockets");
+  const selectCloth = document.getElementById("select-cloth");
+  const selectTheme = document.getElementById("select-theme");
+  const tableControlEl = document.getElementById("table-control");
+  const selectTable = document.getElementById("select-table");
+  const btnReplay = document.getElementById("btn-replay");
+  const btnReplayExport = document.getElementById("btn-replay-export");
+  const inputReplayImport = document.getElementById("input-replay-import");
+  const replayBarEl = document.getElementById("replay-bar");
+  const btnReplayPlay = document.getElementById("btn-replay-play");
+  const replayScrubEl = document.getElementById("replay-scrub");
+  const replayTimeEl = document.getElementById("replay-time");
+  const btnReplayClose = document.getElementById("btn-replay-close");
+  const btnEditTable = document.getElementById("btn-edit-table");
+  const editorToolsEl = document.getElementById("editor-tools");
+  const selectEditorBall = document.getElementById("select-editor-ball");
+  const btnAddBall = document.getElementById("btn-add-ball");
+  const btnRemoveBall = document.getElementById("btn-remove-ball");
+  const inputDrillName = document.getElementById("input-drill-name");
+  const btnSaveDrill = document.getElementById("btn-save-drill");
+  const selectDrill = document.getElementById("select-drill");
+  const btnLoadDrill = document.getElementById("btn-load-drill");
+  const btnDeleteDrill = document.getElementById("btn-delete-drill");
+  const spinCanvas = document.getElementById("spin-canvas");
+  const spinCtx = spinCanvas ? spinCanvas.getContext("2d") : null;
+  const spinReadoutEl = document.getElementById("spin-readout");
+  const onlineForm = document.getElementById("online-form");
+  const inputOnlineServer = document.getElementById("input-online-server");
+  const inputOnlineRoom = document.getElementById("input-online-room");
+  const btnOnlineConnect = document.getElementById("btn-online-connect");
+  const btnOnlineLeave = document.getElementById("btn-online-leave");
+  const btnOnlineRematch = document.getElementById("btn-online-rematch");
+  const onlineStatusEl = document.getElementById("online-status");
+  const onlineChatEl = document.getElementById("online-chat");
+  const onlineChatLogEl = document.getElementById("online-chat-log");
+  const onlineChatForm = document.getElementById("online-chat-form");
+  const inputOnlineChat = document.getElementById("input-online-chat");
+  const btnStats = document.getElementById("btn-stats");
+  const statsPanel = document.getElementById("stats-panel");
+  const selectStatsPlayer = document.getElementById("select-stats-player");
+  const statsEmptyEl = document.getElementById("stats-empty");
+  const statsTableEl = document.getElementById("stats-table");
+  const statsSessionsChart = document.getElementById("stats-sessions-chart");
+  const statsPowerChart = document.getElementById("stats-power-chart");
+  const btnStatsExport = document.getElementById("btn-stats-export");
+  const btnStatsClose = document.getElementById("btn-stats-close");
+  const btnGamepad = document.getElementById("btn-gamepad");
+  const gamepadPanel = document.getElementById("gamepad-panel");
+  const gamepadStatusEl = document.getElementById("gamepad-status");
+  const gamepadBindingsEl = document.getElementById("gamepad-bindings");
+  const btnGamepadDefaults = document.getElementById("btn-gamepad-defaults");
+  const challengeRowEl = document.getElementById("challenge-row");
+  const selectLevel = document.getElementById("select-level");
+  const btnNextLevel = document.getElementById("btn-next-level");
+  const inputLevelPack = document.getElementById("input-level-pack");
+  const challengeBriefEl = document.getElementById("challenge-brief");
 
   // Single source of truth for meta state
   const gameState = {
@@ -24,31 +103,115 @@
     shotInProgress: false,
     currentPower: 0,
     lastMessage: "Ready",
-    highContrast: false,
+    // Key into THEMES; the high contrast button toggles "contrast".
+    theme: "classic",
+    themeBeforeContrast: null,
     reducedMotion:
       window.matchMedia &&
       window.matchMedia("(prefers-reduced-motion: reduce)").matches,
     soundOn: false,
     helpOpen: false,
     firstVisit: false,
+    mode: "free",
+    // Cue tip contact point on the ball face, -1..1 each: x right, y follow.
+    tipOffset: { x: 0, y: 0 },
+    // Trajectory overlay while aiming: "full", "partial" or "off".
+    aimAssist: "full",
+    editing: false,
+    cloth: "standard",
+    // Set once the player picks a cloth; table profiles then keep it.
+    clothChosen: false,
+    // Pool table chosen in the settings, and the profile currently built.
+    poolTable: "pool9",
+    tableProfile: null,
   };
 
   // === TABLE & PHYSICS CONFIG ===
-  const LOGICAL_WIDTH = 800;
-  const LOGICAL_HEIGHT = 400;
+  // Named tables, in logical px. The canvas takes the table's size; pocket
+  // mouths are in ball diameters (see createPockets) and cloth names a
+  // PoolPhysics.CLOTH_PRESETS entry. Pool beds scale with the real 100, 88
+  // and 78 inch lengths around the same balls; the snooker bed keeps the
+  // real 3569 x 1778 mm proportions with balls scaled to match.
+  const TABLE_PROFILES = {
+    pool7: {
+      label: "7 ft (bar)",
+      discipline: "pool",
+      width: 634,
+      height: 322,
+      rail: 22,
+      ballRadius: 10,
+      cornerMouth: 2.7,
+      sideMouth: 2.9,
+      cloth: "slow",
+    },
+    pool8: {
+      label: "8 ft",
+      discipline: "pool",
+      width: 709,
+      height: 357,
+      rail: 22,
+      ballRadius: 10,
+      cornerMouth: 2.6,
+      sideMouth: 2.8,
+      cloth: "standard",
+    },
+    pool9: {
+      label: "9 ft (tournament)",
+      discipline: "pool",
+      width: 800,
+      height: 400,
+      rail: 22,
+      ballRadius: 10,
+      cornerMouth: 2.5,
+      sideMouth: 2.7,
+      cloth: "standard",
+    },
+    snooker: {
+      label: "Snooker (12 ft)",
+      discipline: "snooker",
+      width: 1240,
+      height: 644,
+      rail: 25,
+      ballRadius: 8.75,
+      cornerMouth: 2,
+      sideMouth: 2.2,
+      cloth: "fast",
+    },
+  };
+  const TABLE_GEOMETRY = [
+    "width",
+    "height",
+    "rail",
+    "ballRadius",
+    "cornerMouth",
+    "sideMouth",
+  ];
+  const TABLE_PREF_KEY = "canvas-pool-table";
 
+  // Geometry is filled in by applyTableProfile() during init.
   const TABLE = {
-    width: LOGICAL_WIDTH,
-    height: LOGICAL_HEIGHT,
-    rail: 22,
-    pocketRadius: 18,
-    ballRadius: 10,
-    friction: 0.985,
-    stopEpsilon: 0.03,
+    // Cloth friction, replaced by the chosen cloth preset.
+    slideFriction: PoolPhysics.CLOTH_PRESETS.standard.slideFriction,
+    rollFriction: PoolPhysics.CLOTH_PRESETS.standard.rollFriction,
+    // Cushions keep less of a hard hit: restitution minus speedLoss per
+    // px/tick of speed into the rail.
+    cushionRestitution: 0.9,
+    cushionSpeedLoss: 0.02,
+    jawRestitution: 0.6,
+    // Pocket cut: 0 generous .. 1 tight, jaw angles in degrees from the
+    // cushion normal.
+    pocketTightness: 0.5,
+    cornerJawAngle: 52,
+    sideJawAngle: 14,
   };
 
+  const MAX_SHOT_SPEED = PoolPhysics.MAX_CUE_SPEED;
+
   let lastTime = 0;
-  const BASE_DT = 1 / 60;
+  let accumulator = 0;
+  // Longest gap between frames that gets simulated; a backgrounded tab
+  // resumes the shot instead of fast-forwarding through it.
+  const MAX_FRAME_MS = 250;
 
   // === STATE ===
   const balls = [];
@@ -57,118 +220,55 @@
   let aimStart = null;
   let aimCurrent = null;
   let shotInProgress = false;
-  const pockets = createPockets();
+  const pockets = []; // cut by applyTableProfile()
 
-  // Responsive scaling: we keep logical coords constant and scale via CSS.
-  // Input mapping uses getBoundingClientRect() each time so we don't need to change physics on resize.
+  // Per-shot bookkeeping, filled in by update() and handed to the active
+  // game mode once every ball has stopped.
+  let shot = null;
 
-  // === HELPERS ===
-  // Create six pockets with richer geometry:
-  // - x, y: pocket drop center (inside the table, slightly inset from corners/edges)
-  // - mouthX1, mouthY1, mouthX2, mouthY2: line segment representing rail opening
-  // - rCapture: inner capture radius (ball fully over hole)
-  // - rFunnel: outer funnel radius for gentle jaw guidance
-  function createPockets() {
-    const w = TABLE.width;
-    const h = TABLE.height;
-    const rail = TABLE.rail;
-    const br = TABLE.ballRadius;
-    const basePocket = TABLE.pocketRadius;
-
-    const rCapture = basePocket + br * 0.4;
-    const rFunnel = rCapture + br * 1.2;
-
-    // Corner pockets: centers inset diagonally from corners.
-    const cornerOffset = rail * 0.8;
-
-    // Side pockets: centered on side, inset slightly inward.
-    const sideInset = rail * 0.55;
+  // Per-rack rules state, indexed by player where it matters. Reset by
+  // setupBalls().
+  const rack = {
+    isBreak: true,
+    openTable: true,
+    groups: [null, null], // "solids" | "stripes" once assigned
+    over: false,
+    winner: null,
+    fouls: [0, 0], // consecutive fouls
+    pots: [0, 0],
+    pushOutAvailable: false, // 9-ball: only on the shot after the break
+    pushOutDeclared: false,
+    passBackAvailable: false,
+    // Snooker frame scoring.
+    points: [0, 0],
+    currentBreak: 0,
+    bestBreak: [0, 0],
+    ballOn: "red", // "red", "colour" (any) or a colour name in the clearance
+  };
 
-    return [
-      // Top-left corner
-      {
-        x: rail - cornerOffset,
-        y: rail - cornerOffset,
-        mouthX1: rail + br * 0.5,
-        mouthY1: rail,
-        mouthX2: rail,
-        mouthY2: rail + br * 0.5,
-        rCapture,
-        rFunnel,
-      },
-      // Top-middle
-      {
-        x: w / 2,
-        y: rail - sideInset,
-        mouthX1: w / 2 - basePocket,
-        mouthY1: rail,
-        mouthX2: w / 2 + basePocket,
-        mouthY2: rail,
-        rCapture,
-        rFunnel,
-      },
-      // Top-right corner
-      {
-        x: w - (rail - cornerOffset),
-        y: rail - cornerOffset,
-        mouthX1: w - rail,
-        mouthY1: rail + br * 0.5,
-        mouthX2: w - rail - br * 0.5,
-        mouthY2: rail,
-        rCapture,
-        rFunnel,
-      },
-      // Bottom-left corner
-      {
-        x: rail - cornerOffset,
-        y: h - (rail - cornerOffset),
-        mouthX1: rail,
-        mouthY1: h - rail - br * 0.5,
-        mouthX2: rail + br * 0.5,
-        mouthY2: h - rail,
-        rCapture,
-        rFunnel,
-      },
-      // Bottom-middle
-      {
-        x: w / 2,
-        y: h - (rail - sideInset),
-        mouthX1: w / 2 + basePocket,
-        mouthY1: h - rail,
-        mouthX2: w / 2 - basePocket,
-        mouthY2: h - rail,
-        rCapture,
-        rFunnel,
-      },
-      // Bottom-right corner
-      {
-        x: w - (rail - cornerOffset),
-        y: h - (rail - cornerOffset),
-        mouthX1: w - rail - br * 0.5,
-        mouthY1: h - rail,
-        mouthX2: w - rail,
-        mouthY2: h - rail - br * 0.5,
-        rCapture,
-        rFunnel,
-      },
-    ];
-  }
+  // Local match: one shooter in practice, two for hot-seat play or a game
+  // against the computer (always player 2). Online, player 1 is the first
+  // seat in the room.
+  const match = {
+    opponent: "solo", // "solo" | "human" | "computer" | "online"
+    aiLevel: "medium",
+    players: [
+      { name: "Player 1", racks: 0 },
+      { name: "Player 2", racks: 0 },
+    ],
+    raceTo: 5,
+    current: 0,
+    breaker: 0,
+    history: [], // rack winner per rack (player index or null)
+    over: false,
+  };
 
-  // Helper: squared distance from point to segment (for mouth checks).
-  function distPointToSegmentSq(px, py, x1, y1, x2, y2) {
-    const vx = x2 - x1;
-    const vy = y2 - y1;
-    const wx = px - x1;
-    const wy = py - y1;
-    const segLenSq = vx * vx + vy * vy || 1;
-    const t = Math.max(0, Math.min(1, (wx * vx + wy * vy) / segLenSq));
-    const projX = x1 + t * vx;
-    const projY = y1 + t * vy;
-    const dx = px - projX;
-    const dy = py - projY;
-    return dx * dx + dy * dy;
-  }
+  // Logical coords stay at the table size; the canvas backing store follows
+  // the element size times devicePixelRatio and drawing is scaled to it.
+  // Input mapping uses getBoundingClientRect() each time so we don't need to change physics on resize.
+  let renderScale = 1; // backing-store pixels per logical unit
 
+  // === HELPERS ===
   function len(x, y) {
     return Math.sqrt(x * x + y * y);
   }
@@ -178,15 +278,21 @@
   }
 
   function allBallsStopped() {
-    for (const b of balls) {
-      if (
-        !b.pocketed &&
-        (Math.abs(b.vx) > TABLE.stopEpsilon ||
-          Math.abs(b.vy) > TABLE.stopEpsilon)
-      )
-        return false;
-    }
-    return true;
+    return !PoolPhysics.isMoving(physicsState);
+  }
+
+  function downloadJson(data, filename) {
+    const blob = new Blob([JSON.stringify(data)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
   }
 
   function setStatus(msg, aria = false) {
@@ -209,582 +315,4948 @@
     const canShoot = allBallsStopped() && !cueBall.pocketed;
     gameState.ready = canShoot && !isAiming && !shotInProgress;
     gameState.ballsMoving = !allBallsStopped();
-    if (gameState.ballsMoving) {
+    // "Ready" is announced by update() when a shot ends; only flag motion here
+    // so end-of-shot rule messages stay visible.
+    if (gameState.ballsMoving && gameState.lastMessage !== "Balls moving…") {
       setStatus("Balls moving…");
-    } else if (!isAiming && !shotInProgress) {
-      setStatus("Ready");
     }
   }
 
-  function createBall(x, y, color, isCue = false) {
+  // Standard pool colours; stripes (9–15) reuse the colour of number - 8.
+  const BALL_COLORS = {
+    0: "#ffffff",
+    1: "#facc15",
+    2: "#2563eb",
+    3: "#dc2626",
+    4: "#7c3aed",
+    5: "#f97316",
+    6: "#16a34a",
+    7: "#7f1d1d",
+    8: "#111111",
+  };
+
+  // Orientation of a ball's markings as unit vectors in ball space, z
+  // pointing into the table (the visible half has z < 0): face is where the
+  // number disc sits, band the axis the stripe runs around. Balls start with
+  // the number towards the viewer and stay that way in reduced motion.
+  const FACE_UP = { x: 0, y: 0, z: -1 };
+  const BAND_ACROSS = { x: 0, y: 1, z: 0 };
+
+  function createBall(x, y, color, isCue = false, number = 0) {
     return {
       x,
       y,
       vx: 0,
       vy: 0,
+      spinX: 0,
+      spinY: 0,
+      side: 0,
       r: TABLE.ballRadius,
       color,
       isCue,
+      number,
       pocketed: false,
+      label: "", // number disc text; plain balls have none
+      stripe: false,
+      face: { ...FACE_UP },
+      band: { ...BAND_ACROSS },
+      drawnX: x, // where the ball was last drawn, for rolling
+      drawnY: y,
     };
   }
 
-  function setupBalls() {
-    balls.length = 0;
-    cueBall = createBall(TABLE.width * 0.25, TABLE.height / 2, "#ffffff", true);
-    balls.push(cueBall);
-
-    const startX = TABLE.width * 0.65;
-    const startY = TABLE.height / 2;
-    const gap = TABLE.ballRadius * 2 + 1.5;
-    const colors = [
-      "#f97316",
-      "#eab308",
-      "#22c55e",
-      "#38bdf8",
-      "#a855f7",
-      "#f97316",
-      "#22c55e",
-      "#38bdf8",
-      "#ef4444",
-    ];
-    let c = 0;
-    const rows = 5;
-    for (let row = 0; row < rows; row++) {
-      const count = rows - row;
-      const offsetX = row * gap;
-      const offsetY = (count - 1) * TABLE.ballRadius;
+  // Pool balls carry their number on a disc; 9–15 are white with a
+  // coloured stripe.
+  function markPoolBall(b) {
+    b.label = String(b.number);
+    b.stripe = b.number > 8;
+    return b;
+  }
+
+  function createNumberedBall(number, x, y) {
+    const color = BALL_COLORS[number > 8 ? number - 8 : number];
+    return markPoolBall(createBall(x, y, color, false, number));
+  }
+
+  // "solids" (1–7), "stripes" (9–15), "eight" or "cue".
+  function ballGroup(b) {
+    if (b.isCue) return "cue";
+    if (b.number === 8) return "eight";
+    return b.number < 8 ? "solids" : "stripes";
+  }
+
+  function ballName(b) {
+    if (b.isCue) return "cue ball";
+    return b.name || `${b.number}-ball`;
+  }
+
+  // "solid" or "stripe" for numbered pool balls other than the 8.
+  function ballPattern(b) {
+    if (!b.label || b.number === 8) return "";
+    return b.stripe ? "stripe" : "solid";
+  }
+
+  function footSpot() {
+    return { x: TABLE.width * 0.7, y: TABLE.height / 2 };
+  }
+
+  // Close-packed rack spots with the apex towards the cue ball; rowCounts
+  // lists how many balls sit in each row moving away from the apex.
+  function rackSpots(apexX, apexY, rowCounts) {
+    const gap = TABLE.ballRadius * 2 + 0.5;
+    const rowStep = gap * Math.sqrt(3) * 0.5;
+    const spots = [];
+    rowCounts.forEach((count, row) => {
       for (let i = 0; i < count; i++) {
-        const x = startX + offsetX;
-        const y = startY - offsetY / 2 + i * (TABLE.ballRadius * 2);
-        balls.push(createBall(x, y, colors[c++ % colors.length]));
+        spots.push({
+          x: apexX + row * rowStep,
+          y: apexY + (i - (count - 1) / 2) * gap,
+        });
       }
+    });
+    return spots;
+  }
+
+  function isSpotFree(x, y, ignore) {
+    for (const b of balls) {
+      if (b === ignore || b.pocketed) continue;
+      if (len(b.x - x, b.y - y) < b.r * 2) return false;
+    }
+    return true;
+  }
+
+  // Place a ball on (x, y), sliding it back towards the foot rail until it
+  // no longer overlaps another ball.
+  function spotBall(b, x, y) {
+    const maxX = TABLE.width - TABLE.rail - b.r;
+    let sx = x;
+    while (!isSpotFree(sx, y, b) && sx < maxX) sx += 1;
+    b.x = Math.min(sx, maxX);
+    b.y = y;
+    b.vx = 0;
+    b.vy = 0;
+    b.spinX = 0;
+    b.spinY = 0;
+    b.side = 0;
+    b.pocketed = false;
+  }
+
+  // Fixed 8-ball rack order: 1 on the apex, 8 in the centre, a solid and a
+  // stripe on the back corners.
+  const EIGHT_BALL_ORDER = [1, 9, 2, 10, 8, 3, 11, 4, 12, 5, 6, 13, 14, 7, 15];
+
+  function rackEightBall() {
+    const foot = footSpot();
+    const spots = rackSpots(foot.x, foot.y, [1, 2, 3, 4, 5]);
+    EIGHT_BALL_ORDER.forEach((n, i) => {
+      balls.push(createNumberedBall(n, spots[i].x, spots[i].y));
+    });
+  }
+
+  // 9-ball diamond: 1 on the apex, 9 in the centre of the middle row.
+  const NINE_BALL_ORDER = [1, 2, 3, 4, 9, 5, 6, 7, 8];
+
+  function rackNineBall() {
+    const foot = footSpot();
+    const spots = rackSpots(foot.x, foot.y, [1, 2, 3, 2, 1]);
+    NINE_BALL_ORDER.forEach((n, i) => {
+      balls.push(createNumberedBall(n, spots[i].x, spots[i].y));
+    });
+  }
+
+  // Racks for the current mode, or sets out the loaded practice drill.
+  function setupBalls() {
+    cancelComputerTurn();
+    resetStatsRuns();
+    closeReplay();
+    ballInHand.active = false;
+    ballInHand.drag = null;
+    editor.selected = null;
+    editor.drag = null;
+    balls.length = 0;
+    if (activeDrill) {
+      placeLayout(activeDrill);
+    } else {
+      const mode = getMode();
+      const start = mode.cueStart
+        ? mode.cueStart()
+        : { x: TABLE.width * 0.25, y: TABLE.height / 2 };
+      cueBall = createBall(start.x, start.y, "#ffffff", true);
+      balls.push(cueBall);
+      mode.rack();
     }
 
-    setStatus("New rack ready", true);
+    rack.isBreak = !activeDrill && getMode().breakShot !== false;
+    rack.openTable = true;
+    rack.groups = [null, null];
+    rack.over = false;
+    rack.winner = null;
+    rack.fouls = [0, 0];
+    rack.pots = [0, 0];
+    rack.pushOutAvailable = false;
+    rack.pushOutDeclared = false;
+    rack.passBackAvailable = false;
+    rack.points = [0, 0];
+    rack.currentBreak = 0;
+    rack.bestBreak = [0, 0];
+    rack.ballOn = "red";
+    shot = null;
+    match.current = match.breaker;
+    updateRackButtons();
+    renderScoreboard();
+
+    if (activeDrill) {
+      setStatus(`Drill "${activeDrill.name}" ready`, true);
+    } else if (getMode().intro) {
+      setStatus(getMode().intro(), true);
+    } else {
+      setStatus(
+        playerCount() > 1
+          ? `New ${getMode().label} ${rackName()} ready. ${currentPlayer().name} to break.`
+          : `New ${getMode().label} ${rackName()} ready`,
+        true
+      );
+    }
     setPower(0);
     gameState.shotInProgress = false;
     shotInProgress = false;
+    maybeStartComputerTurn();
   }
 
-  // === INPUT & INTERACTION ===
-  function getCanvasPos(e) {
-    const rect = canvas.getBoundingClientRect();
-    const clientX = e.touches ? e.touches[0].clientX : e.clientX;
-    const clientY = e.touches ? e.touches[0].clientY : e.clientY;
-    const x = ((clientX - rect.left) / rect.width) * TABLE.width;
-    const y = ((clientY - rect.top) / rect.height) * TABLE.height;
-    return { x, y };
+  // === GAME MODES & RULES ===
+  // Each mode racks the balls, judges a finished shot and describes a
+  // player's rack progress for the scoreboard. judge() may update `rack`
+  // (groups, fouls, push-out) and returns an outcome:
+  // { message, foul, legalPot, rackOver, winner } where winner is a player
+  // index or null. Turn passing and match scoring happen in endShot().
+  // headString: ball in hand after a scratch is limited to behind the head
+  // string; the player can switch it per mode. Optional: table (a
+  // TABLE_PROFILES key or a function returning one, pool by default),
+  // cueStart() for the opening cue ball spot, handZone "d" to keep ball in
+  // hand inside the D, rackName, summary() for the scoreboard header,
+  // intro() for the new-rack message, railRule: false where a shot needs no
+  // rail after contact, breakShot: false where the first shot is no break,
+  // and race: false where racks don't count towards a match.
+  const GAME_MODES = {
+    free: {
+      label: "Free play",
+      headString: false,
+      rack: rackEightBall,
+      judge: judgeFreePlay,
+      detail: (i) => `${rack.pots[i]} potted`,
+      aiTargets: () => ballsOnTable(),
+      aiPotValue: (b, shooter, foul) => (foul ? 0 : 100),
+    },
+    eight: {
+      label: "8-ball",
+      headString: true,
+      rack: rackEightBall,
+      judge: judgeEightBall,
+      detail: describeEightBallPlayer,
+      aiTargets: eightBallTargets,
+      aiPotValue: eightBallPotValue,
+    },
+    nine: {
+      label: "9-ball",
+      headString: false,
+      rack: rackNineBall,
+      judge: judgeNineBall,
+      detail: (i) =>
+        rack.fouls[i] ? `${rack.fouls[i]} foul(s)` : `${rack.pots[i]} potted`,
+      aiTargets: () =>
+        ballsOnTable().filter((b) => b.number === lowestRemaining()),
+      aiPotValue: (b, shooter, foul) => {
+        if (b.number === 9) return foul ? 0 : 1000;
+        return foul ? 0 : 60;
+      },
+    },
+    snooker: {
+      label: "Snooker",
+      table: "snooker",
+      headString: false,
+      handZone: "d",
+      rackName: "frame",
+      railRule: false,
+      cueStart: snookerCueStart,
+      rack: rackSnooker,
+      judge: judgeSnooker,
+      detail: describeSnookerPlayer,
+      summary: describeSnookerFrame,
+      aiTargets: snookerTargets,
+      aiPotValue: snookerPotValue,
+    },
+    challenge: {
+      label: "Challenge",
+      table: challengeTable,
+      headString: false,
+      rackName: "level",
+      railRule: false,
+      breakShot: false,
+      race: false,
+      cueStart: challengeCueStart,
+      rack: rackChallenge,
+      judge: judgeChallenge,
+      detail: describeChallengePlayer,
+      summary: describeChallengeLevel,
+      intro: challengeIntro,
+      aiTargets: challengeTargets,
+      aiPotValue: challengePotValue,
+    },
+  };
+
+  function ballsOnTable() {
+    return balls.filter((b) => !b.isCue && !b.pocketed);
   }
 
-  function pointerNearCue(pos) {
-    if (!cueBall || cueBall.pocketed) return false;
-    const d = len(pos.x - cueBall.x, pos.y - cueBall.y);
-    const minRadius = 40; // ~44px touch target after scaling
-    return d <= Math.max(cueBall.r * 2.5, minRadius);
+  function getMode() {
+    return GAME_MODES[gameState.mode] || GAME_MODES.free;
   }
 
-  function onPointerDown(e) {
-    if (!allBallsStopped()) {
-      setStatus("Wait for balls to stop before shooting", true);
+  // Profile key for the current mode: its own table or the chosen pool one.
+  function modeTable() {
+    const table = getMode().table;
+    return (
+      (typeof table === "function" ? table() : table) || gameState.poolTable
+    );
+  }
+
+  function rackName() {
+    return getMode().rackName || "rack";
+  }
+
+  function setMode(mode) {
+    if (!GAME_MODES[mode] || mode === gameState.mode) return;
+    if (isOnline()) {
+      if (selectMode) selectMode.value = gameState.mode;
+      setStatus(ONLINE_LOCKED, true);
       return;
     }
-    if (shotInProgress || !cueBall || cueBall.pocketed) return;
+    gameState.mode = mode;
+    if (selectMode) selectMode.value = mode;
+    syncHeadStringControl();
+    activeDrill = null;
+    if (mode === "challenge") loadDefaultLevelPack();
+    applyTableProfile(modeTable());
+    syncTableControl();
+    setupBalls();
+    syncChallengeControls();
+  }
 
-    const pos = getCanvasPos(e);
-    if (!pointerNearCue(pos)) {
-      // Ignore distant taps; subtle feedback only
-      setStatus("Start near the cue ball to aim", false);
-      return;
+  function beginShot() {
+    shot = {
+      shooter: match.current,
+      isBreak: rack.isBreak,
+      isPushOut: rack.pushOutDeclared,
+      firstContact: null,
+      railAfterContact: false,
+      pocketed: [],
+      cueScratched: false,
+      power: gameState.currentPower,
+      touched: [], // every ball in a collision
+      cueCushions: 0, // before the first contact
+      pocketOf: new Map(), // ball -> pocket index
+    };
+    rack.passBackAvailable = false;
+    updateRackButtons();
+  }
+
+  // Called from the ball-ball collision loop.
+  function recordContact(a, b) {
+    if (!shot) return;
+    for (const ball of [a, b]) {
+      if (!shot.touched.includes(ball)) shot.touched.push(ball);
     }
+    if (shot.firstContact) return;
+    if (a.isCue) shot.firstContact = b;
+    else if (b.isCue) shot.firstContact = a;
+  }
 
-    isAiming = true;
-    gameState.aiming = true;
-    aimStart = { x: cueBall.x, y: cueBall.y };
-    aimCurrent = pos;
-    setStatus("Aiming… drag back to set power", false);
-    e.preventDefault();
+  // Called from the rail-bounce branches.
+  function recordRail(b) {
+    if (!shot) return;
+    if (shot.firstContact) shot.railAfterContact = true;
+    else if (b.isCue) shot.cueCushions += 1;
   }
 
-  function onPointerMove(e) {
-    if (!isAiming) return;
-    aimCurrent = getCanvasPos(e);
-    e.preventDefault();
+  function recordPocket(b, pocket) {
+    if (!shot) return;
+    shot.pocketed.push(b);
+    shot.pocketOf.set(b, pocket);
+    if (b.isCue) shot.cueScratched = true;
   }
 
-  function onPointerUp(e) {
-    if (!isAiming) return;
-    const pos = aimCurrent || getCanvasPos(e);
-    const pullX = pos.x - aimStart.x;
-    const pullY = pos.y - aimStart.y;
-    const pullDist = Math.min(len(pullX, pullY), 160);
+  function endShot() {
+    if (!shot) {
+      setStatus("Ready", true);
+      return;
+    }
+    const s = shot;
+    const outcome = getMode().judge(s);
+    rack.pots[s.shooter] += s.pocketed.filter((b) => !b.isCue).length;
+    rack.isBreak = false;
+    shot = null;
+    recordShotStats(s, outcome);
 
-    if (pullDist > 4 && cueBall && !cueBall.pocketed) {
-      const shotDir = norm(-pullX, -pullY);
-      const maxSpeed = 14;
-      const powerRatio = pullDist / 160;
-      const speed = powerRatio * maxSpeed;
-      cueBall.vx += shotDir.x * speed;
-      cueBall.vy += shotDir.y * speed;
-      shotInProgress = true;
-      gameState.shotInProgress = true;
-      setPower(powerRatio);
-      setStatus("Shot in progress…", true);
-    } else {
-      setPower(0);
-      setStatus("Ready", false);
+    let message = outcome.message;
+    if (outcome.rackOver) {
+      message += ` ${finishRack(outcome.winner)}`;
+    } else if (outcome.foul || !outcome.legalPot) {
+      if (passTurn()) message += ` ${currentPlayer().name} to shoot.`;
+    } else if (playerCount() > 1) {
+      message += ` ${currentPlayer().name} shoots again.`;
+    }
+    if ((s.cueScratched || outcome.ballInHand) && !outcome.rackOver) {
+      message += ` ${beginBallInHand()}`;
     }
+    updateRackButtons();
+    renderScoreboard();
+    setStatus(message, true);
+    emit("shotEnd", {
+      shooter: s.shooter,
+      firstContact: s.firstContact && apiBall(s.firstContact),
+      pocketed: s.pocketed.map(apiBall),
+      foul: !!outcome.foul || s.cueScratched,
+      rackOver: !!outcome.rackOver,
+      message,
+    });
+    if (outcome.rackOver) {
+      emit("rackCleared", {
+        winner: rack.winner,
+        racks: match.players.slice(0, playerCount()).map((p) => p.racks),
+        matchOver: match.over,
+      });
+    }
+    maybeStartComputerTurn();
+    onOnlineShotSettled(s.shooter);
+  }
 
-    isAiming = false;
-    gameState.aiming = false;
-    aimStart = null;
-    aimCurrent = null;
-    e.preventDefault();
+  function listBalls(list) {
+    return list.map(ballName).join(", ");
   }
 
-  function attachPointerEvents() {
-    canvas.addEventListener("mousedown", onPointerDown);
-    canvas.addEventListener("mousemove", onPointerMove);
-    window.addEventListener("mouseup", onPointerUp);
+  function judgeFreePlay(s) {
+    const potted = s.pocketed.filter((b) => !b.isCue);
+    const message = potted.length ? `Potted ${listBalls(potted)}.` : "Ready.";
+    if (balls.every((b) => b.isCue || b.pocketed)) {
+      // Most balls potted takes the rack; a tie awards it to nobody.
+      const shooterPots = rack.pots[s.shooter] + potted.length;
+      const other = opponentOf(s.shooter);
+      const otherPots = other === null ? 0 : rack.pots[other];
+      let winner = null;
+      if (other === null || shooterPots > otherPots) winner = s.shooter;
+      else if (otherPots > shooterPots) winner = other;
+      return {
+        message: `${message} Rack cleared!`,
+        rackOver: true,
+        winner,
+      };
+    }
+    return { message, legalPot: potted.length > 0 && !s.cueScratched };
+  }
 
-    canvas.addEventListener("touchstart", onPointerDown, { passive: false });
-    canvas.addEventListener("touchmove", onPointerMove, { passive: false });
-    canvas.addEventListener("touchend", onPointerUp, { passive: false });
+  function isOnTheEight(i) {
+    const group = rack.groups[i];
+    return !!group && !balls.some((b) => ballGroup(b) === group && !b.pocketed);
   }
 
-  // Keyboard controls (basic): arrows adjust aim angle, up/down power, space to shoot.
-  // For now, expose limited support and keep mapping simple.
-  let keyboardAimAngle = 0;
-  let keyboardPower = 0;
+  // Legal first-contact balls for the computer's shooter.
+  function eightBallTargets(i) {
+    const onTable = ballsOnTable();
+    if (isOnTheEight(i)) return onTable.filter((b) => b.number === 8);
+    const group = rack.groups[i];
+    if (!group) return onTable.filter((b) => b.number !== 8);
+    return onTable.filter((b) => ballGroup(b) === group);
+  }
 
-  function onKeyDown(e) {
-    if (e.key === "Tab") return; // let browser handle
-    if (e.key === "h" || e.key === "H") {
-      toggleHelp();
-      e.preventDefault();
-    } else if (e.key === "r" || e.key === "R") {
-      resetTable(false);
-      e.preventDefault();
-    } else if (e.code === "Space") {
-      // keyboard shot if we have a power set
-      if (!allBallsStopped() || shotInProgress || !cueBall || cueBall.pocketed)
-        return;
-      if (keyboardPower <= 0) {
-        keyboardPower = 0.4;
-      }
-      const dir = {
-        x: Math.cos(keyboardAimAngle),
-        y: Math.sin(keyboardAimAngle),
-      };
-      const maxSpeed = 14;
-      const speed = keyboardPower * maxSpeed;
-      cueBall.vx += dir.x * speed;
-      cueBall.vy += dir.y * speed;
-      shotInProgress = true;
-      gameState.shotInProgress = true;
-      setPower(keyboardPower);
-      setStatus("Shot in progress…", true);
-      e.preventDefault();
-    } else if (e.key === "ArrowLeft" || e.key === "a" || e.key === "A") {
-      keyboardAimAngle -= 0.05;
-      e.preventDefault();
-    } else if (e.key === "ArrowRight" || e.key === "d" || e.key === "D") {
-      keyboardAimAngle += 0.05;
-      e.preventDefault();
-    } else if (e.key === "ArrowUp" || e.key === "w" || e.key === "W") {
-      keyboardPower = Math.min(1, keyboardPower + 0.05);
-      setPower(keyboardPower);
-      setStatus("Keyboard aiming: adjust power, press Space to shoot", false);
-      e.preventDefault();
-    } else if (e.key === "ArrowDown" || e.key === "s" || e.key === "S") {
-      keyboardPower = Math.max(0, keyboardPower - 0.05);
-      setPower(keyboardPower);
-      e.preventDefault();
+  function eightBallPotValue(b, i, foul) {
+    if (b.number === 8) {
+      if (rack.isBreak) return 0;
+      return isOnTheEight(i) && !foul ? 1000 : -1000;
     }
+    if (foul) return 0;
+    const group = rack.groups[i];
+    return !group || ballGroup(b) === group ? 100 : -30;
   }
 
-  // === CONTROLS & TOGGLES ===
-  function toggleHelp() {
-    if (!helpPanel) return;
-    gameState.helpOpen = !gameState.helpOpen;
-    helpPanel.hidden = !gameState.helpOpen;
+  function describeEightBallPlayer(i) {
+    const group = rack.groups[i];
+    if (!group) return "open table";
+    const left = balls.filter(
+      (b) => ballGroup(b) === group && !b.pocketed
+    ).length;
+    return left ? `${group} · ${left} left` : `${group} · on the 8`;
   }
 
-  function resetTable(fromMidShot) {
-    if (fromMidShot && !gameState.reducedMotion) {
-      // Optionally we could require confirmation; keeping it simple.
+  // WPA-style 8-ball: the table stays open after the break, the first legal
+  // pot assigns groups, and the 8 decides the rack.
+  function judgeEightBall(s) {
+    const potted = s.pocketed.filter((b) => !b.isCue);
+    const eightPotted = potted.some((b) => b.number === 8);
+    const group = rack.groups[s.shooter];
+    const onTheEight =
+      !!group &&
+      balls.every(
+        (b) => ballGroup(b) !== group || (b.pocketed && !potted.includes(b))
+      );
+
+    const fouls = [];
+    if (s.cueScratched) fouls.push("scratch");
+    if (!s.firstContact) {
+      fouls.push("no ball hit");
+    } else if (onTheEight) {
+      if (s.firstContact.number !== 8) {
+        fouls.push(`wrong ball first (${ballName(s.firstContact)})`);
+      }
+    } else if (group) {
+      if (ballGroup(s.firstContact) !== group) {
+        fouls.push(`wrong ball first (${ballName(s.firstContact)})`);
+      }
+    } else if (s.firstContact.number === 8 && !s.isBreak) {
+      fouls.push("8-ball hit first on an open table");
     }
-    setupBalls();
+    if (
+      s.firstContact &&
+      !s.isBreak &&
+      potted.length === 0 &&
+      !s.railAfterContact
+    ) {
+      fouls.push("no rail after contact");
+    }
+
+    const parts = [];
+    if (potted.length) parts.push(`Potted ${listBalls(potted)}.`);
+
+    if (eightPotted) {
+      if (s.isBreak) {
+        const eight = balls.find((b) => b.number === 8);
+        const foot = footSpot();
+        spotBall(eight, foot.x, foot.y);
+        parts.push("8-ball on the break is respotted.");
+      } else {
+        if (!onTheEight) {
+          parts.push("Early 8 – rack lost.");
+        } else if (fouls.length) {
+          parts.push(
+            `8-ball potted on a foul (${fouls.join(", ")}) – rack lost.`
+          );
+        } else {
+          parts.push("Legal 8-ball!");
+          return {
+            message: parts.join(" "),
+            rackOver: true,
+            winner: s.shooter,
+          };
+        }
+        return {
+          message: parts.join(" "),
+          rackOver: true,
+          winner: opponentOf(s.shooter),
+        };
+      }
+    }
+
+    if (fouls.length) {
+      parts.push(`Foul: ${fouls.join(", ")}.`);
+      return { message: parts.join(" "), foul: true };
+    }
+
+    let legalPot = s.isBreak && potted.length > 0;
+    if (!group && !s.isBreak) {
+      const first = potted.find((b) => ballGroup(b) !== "eight");
+      if (first) {
+        assignGroups(s.shooter, ballGroup(first));
+        parts.push(`${currentPlayer().name} is on ${ballGroup(first)}.`);
+        legalPot = true;
+      }
+    } else if (group) {
+      legalPot = potted.some((b) => ballGroup(b) === group);
+    }
+    if (!parts.length) parts.push(rack.openTable ? "Table open." : "No pot.");
+    return { message: parts.join(" "), legalPot };
   }
 
-  function toggleHighContrast() {
-    gameState.highContrast = !gameState.highContrast;
-    document.body.classList.toggle("high-contrast", gameState.highContrast);
-    setStatus(
-      gameState.highContrast
-        ? "High contrast mode on"
-        : "High contrast mode off",
-      true
-    );
+  function assignGroups(shooter, group) {
+    rack.openTable = false;
+    rack.groups[shooter] = group;
+    const other = opponentOf(shooter);
+    if (other !== null) {
+      rack.groups[other] = group === "solids" ? "stripes" : "solids";
+    }
   }
 
-  function toggleReducedMotion() {
-    gameState.reducedMotion = !gameState.reducedMotion;
-    document.body.classList.toggle("reduced-motion", gameState.reducedMotion);
+  function togglePushOut() {
+    if (!rack.pushOutAvailable || shotInProgress || isOpponentTurn()) return;
+    rack.pushOutDeclared = !rack.pushOutDeclared;
+    updateRackButtons();
     setStatus(
-      gameState.reducedMotion
-        ? "Reduced motion mode on"
-        : "Reduced motion mode off",
+      rack.pushOutDeclared
+        ? "Push-out declared: any contact is legal this shot"
+        : "Push-out cancelled",
       true
     );
   }
 
-  function toggleSound() {
-    gameState.soundOn = !gameState.soundOn;
-    if (btnToggleSound) {
-      btnToggleSound.textContent = `Sound: ${gameState.soundOn ? "On" : "Off"}`;
-    }
+  // After an opponent's push-out the incoming player may hand the shot back.
+  function passBack() {
+    if (!rack.passBackAvailable || shotInProgress || isOpponentTurn()) return;
+    if (isOnline()) sendOnline({ type: "pass" });
+    applyPassBack();
   }
 
-  function attachControlEvents() {
-    if (btnHelp) btnHelp.addEventListener("click", () => toggleHelp());
-    if (btnHelpText) btnHelpText.addEventListener("click", () => toggleHelp());
-    if (btnRestart)
-      btnRestart.addEventListener("click", () => resetTable(true));
-    if (btnResetTable)
-      btnResetTable.addEventListener("click", () => resetTable(true));
-    if (btnHighContrast)
-      btnHighContrast.addEventListener("click", () => toggleHighContrast());
-    if (btnReducedMotion)
-      btnReducedMotion.addEventListener("click", () => toggleReducedMotion());
-    if (btnToggleSound)
-      btnToggleSound.addEventListener("click", () => toggleSound());
-
-    window.addEventListener("keydown", onKeyDown);
+  function applyPassBack() {
+    rack.passBackAvailable = false;
+    passTurn();
+    updateRackButtons();
+    renderScoreboard();
+    setStatus(`Shot passed back. ${currentPlayer().name} to shoot.`, true);
+    maybeStartComputerTurn();
   }
 
-  // === PHYSICS ===
-  function update(dtFactor) {
-    const minX = TABLE.rail + TABLE.ballRadius;
-    const maxX = TABLE.width - TABLE.rail - TABLE.ballRadius;
-    const minY = TABLE.rail + TABLE.ballRadius;
-    const maxY = TABLE.height - TABLE.rail - TABLE.ballRadius;
-
-    // Integrate
-    for (const b of balls) {
-      if (b.pocketed) continue;
-      b.x += b.vx;
-      b.y += b.vy;
+  function updateRackButtons() {
+    if (btnPushOut) {
+      btnPushOut.hidden = !rack.pushOutAvailable;
+      btnPushOut.setAttribute("aria-pressed", String(rack.pushOutDeclared));
     }
+    if (btnPassBack) btnPassBack.hidden = !rack.passBackAvailable;
+    if (btnPlaceCue) btnPlaceCue.hidden = !ballInHand.active;
+  }
 
-    // Rails with pocket mouth openings.
-    // For each wall, skip bounce if ball is within any pocket mouth for that wall.
-    const mouthMargin = TABLE.ballRadius * 0.6;
-    const mouthMarginSq = mouthMargin * mouthMargin;
+  // 9-ball: the lowest numbered ball must be hit first, the 9 wins whenever
+  // it drops on a legal shot (combinations included), and three fouls in a
+  // row lose the rack. The shot after the break may be declared a push-out.
+  function judgeNineBall(s) {
+    const potted = s.pocketed.filter((b) => !b.isCue);
+    const ninePotted = potted.some((b) => b.number === 9);
+    const onTable = balls.filter(
+      (b) => !b.isCue && (!b.pocketed || potted.includes(b))
+    );
+    const lowest = onTable.reduce(
+      (low, b) => (!low || b.number < low.number ? b : low),
+      null
+    );
 
-    function isInMouthForSide(b, side) {
-      // side: 'left','right','top','bottom'
-      for (const p of pockets) {
-        const d2 = distPointToSegmentSq(
-          b.x,
-          b.y,
-          p.mouthX1,
-          p.mouthY1,
-          p.mouthX2,
-          p.mouthY2
+    const fouls = [];
+    if (s.cueScratched) fouls.push("scratch");
+    if (!s.isPushOut) {
+      if (!s.firstContact) {
+        fouls.push("no ball hit");
+      } else if (lowest && s.firstContact !== lowest) {
+        fouls.push(
+          `wrong ball first (${ballName(s.firstContact)}, needed the ${
+            lowest.number
+          })`
         );
-        if (d2 <= mouthMarginSq) {
-          // Additionally, require that this mouth belongs to the relevant side by rough orientation.
-          if (
-            side === "top" &&
-            p.mouthY1 === p.mouthY2 &&
-            Math.abs(p.mouthY1 - TABLE.rail) < 1e-3
-          )
-            return true;
-          if (
-            side === "bottom" &&
-            p.mouthY1 === p.mouthY2 &&
-            Math.abs(p.mouthY1 - (TABLE.height - TABLE.rail)) < 1e-3
-          )
-            return true;
-          if (
-            side === "left" &&
-            p.mouthX1 === p.mouthX2 &&
-            Math.abs(p.mouthX1 - TABLE.rail) < 1e-3
-          )
-            return true;
-          if (
-            side === "right" &&
-            p.mouthX1 === p.mouthX2 &&
-            Math.abs(p.mouthX1 - (TABLE.width - TABLE.rail)) < 1e-3
-          )
-            return true;
-        }
       }
-      return false;
+      if (
+        s.firstContact &&
+        !s.isBreak &&
+        potted.length === 0 &&
+        !s.railAfterContact
+      ) {
+        fouls.push("no rail after contact");
+      }
     }
 
-    for (const b of balls) {
-      if (b.pocketed) continue;
+    rack.pushOutAvailable = s.isBreak && !ninePotted;
+    rack.pushOutDeclared = false;
 
-      // Left wall
-      if (b.x < minX) {
-        if (!isInMouthForSide(b, "left")) {
-          b.x = minX;
-          b.vx = -b.vx;
-        }
-      }
+    const parts = [];
+    if (s.isPushOut) parts.push("Push-out played.");
+    if (potted.length) parts.push(`Potted ${listBalls(potted)}.`);
 
-      // Right wall
-      if (b.x > maxX) {
-        if (!isInMouthForSide(b, "right")) {
-          b.x = maxX;
-          b.vx = -b.vx;
-        }
+    if (ninePotted) {
+      if (fouls.length || s.isPushOut) {
+        const nine = balls.find((b) => b.number === 9);
+        const foot = footSpot();
+        spotBall(nine, foot.x, foot.y);
+        parts.push("9-ball respotted.");
+      } else {
+        rack.fouls[s.shooter] = 0;
+        parts.push("Legal 9-ball!");
+        return { message: parts.join(" "), rackOver: true, winner: s.shooter };
       }
+    }
 
-      // Top wall
-      if (b.y < minY) {
-        if (!isInMouthForSide(b, "top")) {
-          b.y = minY;
-          b.vy = -b.vy;
-        }
+    if (fouls.length) {
+      rack.fouls[s.shooter] += 1;
+      parts.push(`Foul: ${fouls.join(", ")}.`);
+      if (rack.fouls[s.shooter] >= 3) {
+        parts.push("Three consecutive fouls – rack lost.");
+        return {
+          message: parts.join(" "),
+          rackOver: true,
+          winner: opponentOf(s.shooter),
+        };
       }
-
-      // Bottom wall
-      if (b.y > maxY) {
-        if (!isInMouthForSide(b, "bottom")) {
-          b.y = maxY;
-          b.vy = -b.vy;
-        }
+      if (rack.fouls[s.shooter] === 2) {
+        parts.push("Warning: two fouls in a row.");
       }
+      return { message: parts.join(" "), foul: true };
     }
 
-    // Ball-ball collisions
-    for (let i = 0; i < balls.length; i++) {
-      const a = balls[i];
-      if (a.pocketed) continue;
-      for (let j = i + 1; j < balls.length; j++) {
-        const b = balls[j];
-        if (b.pocketed) continue;
-        const dx = b.x - a.x;
-        const dy = b.y - a.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        const minDist = a.r + b.r;
-        if (dist > 0 && dist < minDist) {
-          const nx = dx / dist;
-          const ny = dy / dist;
-          const overlap = (minDist - dist) / 2;
-          a.x -= nx * overlap;
-          a.y -= ny * overlap;
-          b.x += nx * overlap;
-          b.y += ny * overlap;
-          const dvx = b.vx - a.vx;
-          const dvy = b.vy - a.vy;
-          const rel = dvx * nx + dvy * ny;
-          if (rel < 0) {
-            const impulse = -rel;
-            const ix = impulse * nx;
-            const iy = impulse * ny;
-            a.vx -= ix;
-            a.vy -= iy;
-            b.vx += ix;
-            b.vy += iy;
-          }
-        }
-      }
+    rack.fouls[s.shooter] = 0;
+    if (s.isPushOut) {
+      rack.passBackAvailable = playerCount() > 1;
+      if (rack.passBackAvailable) parts.push("Opponent may play or pass back.");
+      return { message: parts.join(" "), legalPot: false };
     }
+    if (rack.pushOutAvailable) {
+      parts.push("Push-out available: press P to declare it.");
+    } else if (!potted.length) {
+      parts.push(`Lowest ball is the ${lowestRemaining()}.`);
+    }
+    return { message: parts.join(" "), legalPot: potted.length > 0 };
+  }
 
-    // Pockets: funnel behavior + realistic capture.
-    let allNonCuePocketed = true;
+  function lowestRemaining() {
+    let low = null;
     for (const b of balls) {
-      if (b.pocketed) continue;
-
+      if (b.isCue || b.pocketed) continue;
+      if (low === null || b.number < low) low = b.number;
+    }
+    return low;
+  }
+
+  // --- Snooker ---
+  // The baulk end is on the left. Spot positions are fractions of the
+  // playing length measured from the baulk cushion; a ball's number is its
+  // value.
+  const SNOOKER_BAULK = 737 / 3569;
+  const SNOOKER_D_RADIUS = 292 / 3569;
+  const SNOOKER_RED_COLOR = "#b91c1c";
+  const SNOOKER_COLOURS = [
+    { name: "yellow", value: 2, color: "#facc15" },
+    { name: "green", value: 3, color: "#16a34a" },
+    { name: "brown", value: 4, color: "#92400e" },
+    { name: "blue", value: 5, color: "#2563eb" },
+    { name: "pink", value: 6, color: "#f472b6" },
+    { name: "black", value: 7, color: "#111111" },
+  ];
+  const SNOOKER_MIN_FOUL = 4;
+
+  function playLength() {
+    return TABLE.width - TABLE.rail * 2;
+  }
+
+  function baulkX() {
+    return TABLE.rail + playLength() * SNOOKER_BAULK;
+  }
+
+  function dRadius() {
+    return playLength() * SNOOKER_D_RADIUS;
+  }
+
+  // Yellow sits on the right of the D seen from the baulk end (+y here).
+  function snookerSpot(name) {
+    const cy = TABLE.height / 2;
+    const at = (f) => TABLE.rail + playLength() * f;
+    switch (name) {
+      case "yellow":
+        return { x: baulkX(), y: cy + dRadius() };
+      case "green":
+        return { x: baulkX(), y: cy - dRadius() };
+      case "brown":
+        return { x: baulkX(), y: cy };
+      case "blue":
+        return { x: at(0.5), y: cy };
+      case "pink":
+        return { x: at(0.75), y: cy };
+      default:
+        return { x: at(1 - 324 / 3569), y: cy };
+    }
+  }
+
+  function isInD(x, y) {
+    return (
+      x <= baulkX() && len(x - baulkX(), y - TABLE.height / 2) <= dRadius()
+    );
+  }
+
+  function snookerCueStart() {
+    return {
+      x: baulkX() - dRadius() * 0.4,
+      y: TABLE.height / 2 + dRadius() * 0.5,
+    };
+  }
+
+  function isRed(b) {
+    return b.name === "red";
+  }
+
+  // Reds in a triangle with the apex just behind the pink, colours on
+  // their spots.
+  function rackSnooker() {
+    const pink = snookerSpot("pink");
+    const apexX = pink.x + TABLE.ballRadius * 2 + 1;
+    for (const spot of rackSpots(apexX, pink.y, [1, 2, 3, 4, 5])) {
+      const red = createBall(spot.x, spot.y, SNOOKER_RED_COLOR, false, 1);
+      red.name = "red";
+      balls.push(red);
+    }
+    for (const c of SNOOKER_COLOURS) {
+      const spot = snookerSpot(c.name);
+      const b = createBall(spot.x, spot.y, c.color, false, c.value);
+      b.name = c.name;
+      balls.push(b);
+    }
+  }
+
+  // Own spot if free, else the highest-value free spot, else as near as
+  // possible to the own spot towards the top cushion, then towards baulk.
+  function respotColour(b) {
+    const own = snookerSpot(b.name);
+    const candidates = [own];
+    for (let i = SNOOKER_COLOURS.length - 1; i >= 0; i--) {
+      candidates.push(snookerSpot(SNOOKER_COLOURS[i].name));
+    }
+    const free = candidates.find((s) => isSpotFree(s.x, s.y, b));
+    if (free) {
+      spotBall(b, free.x, free.y);
+      return;
+    }
+    const maxX = TABLE.width - TABLE.rail - b.r;
+    const minX = TABLE.rail + b.r;
+    let x = own.x;
+    while (x < maxX && !isSpotFree(x, own.y, b)) x += 1;
+    if (!isSpotFree(x, own.y, b)) {
+      x = own.x;
+      while (x > minX && !isSpotFree(x, own.y, b)) x -= 1;
+    }
+    spotBall(b, x, own.y);
+  }
+
+  function lowestColourOnTable() {
+    const left = balls.filter((b) => !b.isCue && !b.pocketed);
+    return left.reduce(
+      (low, b) => (!low || b.number < low.number ? b : low),
+      null
+    );
+  }
+
+  // What the next shot is on once the current visit's pots are settled.
+  function nextBallOn() {
+    if (balls.some((b) => isRed(b) && !b.pocketed)) return "red";
+    const low = lowestColourOnTable();
+    return low ? low.name : null;
+  }
+
+  function isBallOn(b) {
+    if (rack.ballOn === "red") return isRed(b);
+    if (rack.ballOn === "colour") return !isRed(b);
+    return b.name === rack.ballOn;
+  }
+
+  function ballOnLabel() {
+    if (rack.ballOn === "colour") return "a colour";
+    return rack.ballOn === "red" ? "a red" : `the ${rack.ballOn}`;
+  }
+
+  function remainingPoints() {
+    const left = balls.filter((b) => !b.isCue && !b.pocketed);
+    const reds = left.filter(isRed).length;
+    let total = reds * 8;
+    if (rack.ballOn === "colour") total += 7;
+    if (rack.ballOn === "colour" || reds > 0) return total + 27;
+    return left.reduce((sum, b) => sum + b.number, 0);
+  }
+
+  function describeSnookerPlayer(i) {
+    const text = `${rack.points[i]} pts`;
+    return i === match.current && rack.currentBreak
+      ? `${text} · break ${rack.currentBreak}`
+      : text;
+  }
+
+  function describeSnookerFrame() {
+    return `on ${ballOnLabel()} · ${remainingPoints()} remaining`;
+  }
+
+  function endBreak(i) {
+    rack.bestBreak[i] = Math.max(rack.bestBreak[i], rack.currentBreak);
+    rack.currentBreak = 0;
+  }
+
+  // One visit at the table at a time: reds and colours alternate while reds
+  // remain (the colour hit first counts as the nominated one), then the
+  // colours go in order. Fouls give the opponent the value of the ball on
+  // or of the highest ball involved, at least four.
+  function judgeSnooker(s) {
+    const potted = s.pocketed.filter((b) => !b.isCue);
+    const on = rack.ballOn;
+    const first = s.firstContact;
+    const nominated = on === "colour" && first && !isRed(first) ? first : null;
+    let onValue = 1;
+    if (nominated) onValue = nominated.number;
+    else if (on !== "red" && on !== "colour") {
+      onValue = SNOOKER_COLOURS.find((c) => c.name === on).value;
+    }
+
+    const fouls = [];
+    let penalty = Math.max(SNOOKER_MIN_FOUL, onValue);
+    if (s.cueScratched) fouls.push("in-off");
+    if (!first) {
+      fouls.push("missed");
+    } else if (!isBallOn(first)) {
+      fouls.push(`hit the ${first.name} first`);
+      penalty = Math.max(penalty, first.number);
+    }
+    for (const b of potted) {
+      const legal = nominated ? b === nominated : isBallOn(b);
+      if (!legal) {
+        fouls.push(`potted the ${b.name}`);
+        penalty = Math.max(penalty, b.number);
+      }
+    }
+
+    const shooter = s.shooter;
+    const other = opponentOf(shooter);
+    const parts = [];
+    if (potted.length) parts.push(`Potted ${listBalls(potted)}.`);
+    const finalBlack = on === "black";
+
+    if (fouls.length) {
+      if (other === null) rack.points[shooter] -= penalty;
+      else rack.points[other] += penalty;
+      endBreak(shooter);
+      parts.push(
+        `Foul: ${fouls.join(", ")} – ${penalty} ${
+          other === null ? "penalty points" : `to ${match.players[other].name}`
+        }.`
+      );
+      if (finalBlack) return finishSnookerFrame(parts, shooter);
+      for (const b of potted) if (!isRed(b)) respotColour(b);
+      rack.ballOn = nextBallOn();
+      return { message: parts.join(" "), foul: true };
+    }
+
+    if (!potted.length) {
+      endBreak(shooter);
+      rack.ballOn = nextBallOn();
+      parts.push(`No score. Next: ${ballOnLabel()}.`);
+      return { message: parts.join(" "), legalPot: false };
+    }
+
+    const scored = potted.reduce((sum, b) => sum + b.number, 0);
+    rack.points[shooter] += scored;
+    rack.currentBreak += scored;
+    rack.bestBreak[shooter] = Math.max(
+      rack.bestBreak[shooter],
+      rack.currentBreak
+    );
+    if (finalBlack) return finishSnookerFrame(parts, shooter);
+    if (on === "red") {
+      rack.ballOn = "colour";
+    } else {
+      // Colours come back while reds remain or straight after the last red.
+      if (on === "colour") potted.forEach(respotColour);
+      rack.ballOn = nextBallOn();
+    }
+    parts.push(`Break ${rack.currentBreak}. Next: ${ballOnLabel()}.`);
+    return { message: parts.join(" "), legalPot: true };
+  }
+
+  // The frame ends with the last black, potted or fouled; level scores
+  // respot the black for a deciding shot from the D.
+  function finishSnookerFrame(parts, shooter) {
+    const other = opponentOf(shooter);
+    endBreak(shooter);
+    if (other === null) {
+      parts.push(`Frame over: ${rack.points[shooter]} points.`);
+      return { message: parts.join(" "), rackOver: true, winner: shooter };
+    }
+    const diff = rack.points[shooter] - rack.points[other];
+    if (diff === 0) {
+      const black = balls.find((b) => b.name === "black");
+      respotColour(black);
+      rack.ballOn = "black";
+      parts.push("Scores level – the black is respotted.");
+      return { message: parts.join(" "), legalPot: false, ballInHand: true };
+    }
+    parts.push(`Frame ${rack.points[0]}–${rack.points[1]}.`);
+    return {
+      message: parts.join(" "),
+      rackOver: true,
+      winner: diff > 0 ? shooter : other,
+    };
+  }
+
+  // Legal first-contact balls for the computer's shooter.
+  function snookerTargets() {
+    return ballsOnTable().filter(isBallOn);
+  }
+
+  function snookerPotValue(b, shooter, foul) {
+    if (foul || !isBallOn(b)) return -10 * Math.max(SNOOKER_MIN_FOUL, b.number);
+    return 40 + b.number * 15;
+  }
+
+  // === PLAYERS & MATCH ===
+  function playerCount() {
+    return match.opponent === "solo" ? 1 : 2;
+  }
+
+  function currentPlayer() {
+    return match.players[match.current];
+  }
+
+  function opponentOf(i) {
+    return playerCount() > 1 ? 1 - i : null;
+  }
+
+  // Returns true when the turn actually changed hands.
+  function passTurn() {
+    const next = opponentOf(match.current);
+    if (next === null) return false;
+    match.current = next;
+    return true;
+  }
+
+  // Award the rack, alternate the break, and end the match at race-to-N.
+  function finishRack(winner) {
+    rack.over = true;
+    rack.winner = winner;
+    match.history.push(winner);
+    if (playerCount() > 1) match.breaker = 1 - match.breaker;
+
+    const unit = rackName();
+    if (winner === null) {
+      return playerCount() > 1
+        ? `${capitalize(unit)} drawn. Reset Table for the next ${unit}.`
+        : `${capitalize(unit)} lost. Reset Table to try again.`;
+    }
+    const p = match.players[winner];
+    p.racks += 1;
+    if (getMode().race === false) {
+      return `Reset Table to replay the ${unit} or go on to the next.`;
+    }
+    if (p.racks >= match.raceTo) {
+      match.over = true;
+      showMatchSummary();
+      return `${p.name} wins the match ${scoreLine()}!`;
+    }
+    return `${p.name} wins the ${unit} (${scoreLine()}). Reset Table for the next ${unit}.`;
+  }
+
+  function capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+  }
+
+  function scoreLine() {
+    return match.players
+      .slice(0, playerCount())
+      .map((p) => p.racks)
+      .join("–");
+  }
+
+  function readPlayerName(input, fallback) {
+    const name = input ? input.value.trim().slice(0, 16) : "";
+    return name || fallback;
+  }
+
+  function syncPlayerNames() {
+    if (isOnline()) return; // names come from the room
+    match.players[0].name = readPlayerName(inputPlayer1, "Player 1");
+    match.players[1].name =
+      match.opponent === "computer"
+        ? `Computer (${(AI_LEVELS[match.aiLevel] || AI_LEVELS.medium).label})`
+        : readPlayerName(inputPlayer2, "Player 2");
+  }
+
+  function newMatch() {
+    if (isOnline()) {
+      setStatus("Leave the online match to start a local one", true);
+      return;
+    }
+    match.opponent = selectOpponent ? selectOpponent.value : "solo";
+    match.raceTo = Math.max(
+      1,
+      parseInt(selectRace && selectRace.value, 10) || 5
+    );
+    match.aiLevel = selectAiLevel ? selectAiLevel.value : "medium";
+    syncPlayerNames();
+    for (const p of match.players) p.racks = 0;
+    match.history = [];
+    match.breaker = 0;
+    match.over = false;
+    hideMatchSummary();
+    activeDrill = null;
+    setupBalls();
+  }
+
+  function renderScoreboard() {
+    const mode = getMode();
+    const count = playerCount();
+    const unit = rackName();
+    match.players.forEach((p, i) => {
+      const el = hudPlayerEls[i];
+      if (!el) return;
+      el.hidden = i >= count;
+      el.classList.toggle("is-active", i === match.current);
+      if (i === match.current) el.setAttribute("aria-current", "true");
+      else el.removeAttribute("aria-current");
+      el.textContent = `${i === match.current && count > 1 ? "▶ " : ""}${
+        p.name
+      } · ${mode.detail(i)} · ${unit}s ${p.racks}`;
+    });
+    if (hudRaceEl) {
+      const rackNumber = match.history.length + (rack.over ? 0 : 1);
+      const summary = mode.summary && !rack.over ? ` · ${mode.summary()}` : "";
+      hudRaceEl.textContent =
+        mode.race === false
+          ? `${mode.label}${summary}`
+          : `${mode.label} · ${unit} ${rackNumber} · race to ${match.raceTo}${summary}`;
+    }
+  }
+
+  function showMatchSummary() {
+    if (!matchSummaryEl) return;
+    const count = playerCount();
+    const winner = match.players.find((p) => p.racks >= match.raceTo);
+    if (matchSummaryResultEl) {
+      matchSummaryResultEl.textContent = `${winner.name} wins ${scoreLine()} (race to ${
+        match.raceTo
+      }).`;
+    }
+    if (matchSummaryRacksEl) {
+      matchSummaryRacksEl.textContent = "";
+      match.history.forEach((w, i) => {
+        const li = document.createElement("li");
+        li.textContent = `${capitalize(rackName())} ${i + 1}: ${
+          w === null ? (count > 1 ? "drawn" : "lost") : match.players[w].name
+        }`;
+        matchSummaryRacksEl.appendChild(li);
+      });
+    }
+    matchSummaryEl.hidden = false;
+    if (btnSummaryNewMatch) btnSummaryNewMatch.focus();
+  }
+
+  function hideMatchSummary() {
+    if (matchSummaryEl) matchSummaryEl.hidden = true;
+  }
+
+  function announceRackOver() {
+    setStatus(
+      matchOver()
+        ? matchOverMessage()
+        : `${capitalize(rackName())} over – press Reset Table for a new ${rackName()}`,
+      true
+    );
+  }
+
+  // Once a race is won only a new match (or rematch) racks again; modes
+  // without a race are never over.
+  function matchOver() {
+    return match.over && getMode().race !== false;
+  }
+
+  function matchOverMessage() {
+    return isOnline()
+      ? "Press Rematch to play again"
+      : "The match is over. Press New match to play again";
+  }
+
+  // === COMPUTER OPPONENT ===
+  // The computer plans by running PoolPhysics.simulate() on cloned balls. Candidates
+  // are ghost-ball aims for every legal target and pocket plus a direct hit
+  // on each target, at a few power levels; the best-scoring outcome wins and
+  // the difficulty level then adds aim and power noise to it.
+  const AI_LEVELS = {
+    easy: { label: "Easy", aimNoise: 0.05, powerNoise: 0.2 },
+    medium: { label: "Medium", aimNoise: 0.018, powerNoise: 0.08 },
+    hard: { label: "Hard", aimNoise: 0.004, powerNoise: 0.03 },
+  };
+  const AI_POWERS = [0.3, 0.5, 0.75, 1];
+  const AI_MAX_SIM_TICKS = 1200;
+  const AI_CANDIDATES_PER_TICK = 6;
+
+  let aiTurn = null; // planning state while the computer is thinking
+  let aiPlan = null; // { dir, power } previewed by drawComputerAim()
+
+  function isComputerTurn() {
+    return match.opponent === "computer" && match.current === 1;
+  }
+
+  function maybeStartComputerTurn() {
+    cancelComputerTurn();
+    if (!isComputerTurn() || rack.over || match.over) return;
+    aiTurn = {
+      shooter: match.current,
+      candidates: null,
+      index: 0,
+      best: null,
+      timer: 0,
+    };
+    setStatus(`${currentPlayer().name} is thinking…`, true);
+    aiTurn.timer = setTimeout(planComputerShot, 400);
+  }
+
+  function cancelComputerTurn() {
+    if (aiTurn) clearTimeout(aiTurn.timer);
+    aiTurn = null;
+    aiPlan = null;
+  }
+
+  // Evaluates a few candidates per tick so the page stays responsive.
+  function planComputerShot() {
+    const turn = aiTurn;
+    if (!turn) return;
+    if (!allBallsStopped() || !cueBall || cueBall.pocketed) {
+      turn.timer = setTimeout(planComputerShot, 100);
+      return;
+    }
+    const mode = getMode();
+    if (!turn.candidates) {
+      if (ballInHand.active) placeComputerCueBall(mode.aiTargets(turn.shooter));
+      turn.targets = mode.aiTargets(turn.shooter);
+      turn.candidates = buildCandidates(turn.targets);
+    }
+
+    const end = Math.min(
+      turn.index + AI_CANDIDATES_PER_TICK,
+      turn.candidates.length
+    );
+    for (; turn.index < end; turn.index++) {
+      const c = turn.candidates[turn.index];
+      const sim = simulateShot(c.dir, c.power);
+      // Small power penalty breaks ties in favour of softer shots.
+      const score = scoreSimulation(sim, turn.shooter, turn.targets) - c.power;
+      if (!turn.best || score > turn.best.score) turn.best = { ...c, score };
+    }
+    if (turn.index < turn.candidates.length) {
+      turn.timer = setTimeout(planComputerShot, 0);
+      return;
+    }
+
+    const level = AI_LEVELS[match.aiLevel] || AI_LEVELS.medium;
+    const best = turn.best || { dir: { x: 1, y: 0 }, power: 0.5 };
+    const angle =
+      Math.atan2(best.dir.y, best.dir.x) + randomNoise() * level.aimNoise;
+    const power = Math.max(
+      0.1,
+      Math.min(1, best.power * (1 + randomNoise() * level.powerNoise))
+    );
+    aiPlan = { dir: { x: Math.cos(angle), y: Math.sin(angle) }, power };
+    setPower(power);
+    setStatus(`${currentPlayer().name} lines up the shot…`, false);
+    turn.timer = setTimeout(() => {
+      const plan = aiPlan;
+      aiTurn = null;
+      aiPlan = null;
+      if (plan) strikeCueBall(plan.dir, plan.power, { x: 0, y: 0 });
+    }, 900);
+  }
+
+  function buildCandidates(targets) {
+    const list = [];
+    for (const t of targets) {
+      const aims = [{ x: t.x, y: t.y }];
       for (const p of pockets) {
-        const dx = p.x - b.x;
-        const dy = p.y - b.y;
-        const dist = Math.sqrt(dx * dx + dy * dy) || 0;
-        const toCenterX = dx / (dist || 1);
-        const toCenterY = dy / (dist || 1);
-
-        const mouthMidX = (p.mouthX1 + p.mouthX2) / 2;
-        const mouthMidY = (p.mouthY1 + p.mouthY2) / 2;
-
-        // Inward normal: from mouth midpoint into pocket center.
-        const nx = p.x - mouthMidX;
-        const ny = p.y - mouthMidY;
-
-        // Ball must be on table side (negative along inward normal) to be funneled.
-        const fromMouthToBallX = b.x - mouthMidX;
-        const fromMouthToBallY = b.y - mouthMidY;
-        const inwardDot = fromMouthToBallX * nx + fromMouthToBallY * ny;
-
-        // Funnel region: gentle guidance when near and approaching.
-        if (dist <= p.rFunnel + b.r && inwardDot < 0) {
-          if (dist > p.rCapture) {
-            const towardDot = b.vx * toCenterX + b.vy * toCenterY;
-            if (towardDot > 0) {
-              const funnelStrength = 0.04; // subtle; avoids suction feel
-              b.vx += toCenterX * funnelStrength;
-              b.vy += toCenterY * funnelStrength;
+        const toPocket = norm(p.x - t.x, p.y - t.y);
+        const ghost = {
+          x: t.x - toPocket.x * t.r * 2,
+          y: t.y - toPocket.y * t.r * 2,
+        };
+        // Skip cuts too thin to send the object ball towards the pocket.
+        const toGhost = norm(ghost.x - cueBall.x, ghost.y - cueBall.y);
+        if (toGhost.x * toPocket.x + toGhost.y * toPocket.y < 0.15) continue;
+        aims.push(ghost);
+      }
+      for (const aim of aims) {
+        const dir = norm(aim.x - cueBall.x, aim.y - cueBall.y);
+        for (const power of AI_POWERS) list.push({ dir, power });
+      }
+    }
+    return list;
+  }
+
+  // Plays a shot on cloned balls and returns the same facts `shot` records.
+  function simulateShot(dir, power) {
+    const clones = PoolPhysics.cloneBalls(balls);
+    const cue = clones[balls.indexOf(cueBall)];
+    PoolPhysics.strike(cue, dir, power * MAX_SHOT_SPEED);
+    const events = PoolPhysics.simulate(
+      { table: TABLE, pockets, balls: clones },
+      AI_MAX_SIM_TICKS
+    );
+
+    const sim = {
+      cue,
+      firstContact: null,
+      railAfterContact: false,
+      pocketed: [],
+      cueScratched: false,
+    };
+    for (const ev of events) {
+      if (ev.type === "contact" && !sim.firstContact) {
+        const a = clones[ev.a];
+        const b = clones[ev.b];
+        if (a.isCue) sim.firstContact = b;
+        else if (b.isCue) sim.firstContact = a;
+      } else if (ev.type === "rail" && sim.firstContact) {
+        sim.railAfterContact = true;
+      } else if (ev.type === "pocket") {
+        const b = clones[ev.ball];
+        sim.pocketed.push(b);
+        if (b.isCue) sim.cueScratched = true;
+      }
+    }
+    return sim;
+  }
+
+  function scoreSimulation(sim, shooter, targets) {
+    const mode = getMode();
+    const first = sim.firstContact;
+    const legalFirst =
+      !!first && targets.some((t) => t.number === first.number);
+    const potted = sim.pocketed.filter((b) => !b.isCue);
+    const noRail =
+      mode.railRule !== false &&
+      !rack.isBreak &&
+      !potted.length &&
+      !sim.railAfterContact;
+    const foul = sim.cueScratched || !legalFirst || noRail;
+
+    let score = 0;
+    if (sim.cueScratched) score -= 150;
+    if (!first) score -= 120;
+    else if (!legalFirst) score -= 100;
+    else if (noRail) score -= 60;
+    for (const b of potted) score += mode.aiPotValue(b, shooter, foul);
+    // Prefer leaving the cue ball near the middle of the table.
+    if (!sim.cueScratched) {
+      score -=
+        len(sim.cue.x - TABLE.width / 2, sim.cue.y - TABLE.height / 2) / 40;
+    }
+    return score;
+  }
+
+  // Roughly standard-normal noise (sum of uniforms).
+  function randomNoise() {
+    return (Math.random() + Math.random() + Math.random() - 1.5) * 2;
+  }
+
+  // === ONLINE PLAY ===
+  // Two browsers meet in a room on the relay (server/relay.js) and each runs
+  // the full game. Only shots travel: the shooter sends the cue strike, both
+  // sides simulate it, and the shooter then sends a result with its table
+  // checksum and state. A receiver whose checksum differs has desynced and
+  // takes the shooter's state. Messages carry the protocol version `v`:
+  //   join { room, name, settings }    joined { seat }   start { players, settings }
+  //   shot { seq, dir, power, tip, cue, pushOut }
+  //   result { seq, checksum, state }  chat { text }     rematch {}
+  //   pass {}   next-rack {}           peer-left { name }   error { reason }
+  const ONLINE_PROTOCOL = 1;
+  const ONLINE_DEFAULT_PORT = 8787;
+  const ONLINE_CHAT_LINES = 50;
+  const ONLINE_LOCKED = "Table settings are fixed during an online match";
+  const ONLINE_ERRORS = {
+    version: "The relay runs a different version of the game",
+    room: "Room names use letters, digits, - and _ (up to 24)",
+    full: "That room already has two players",
+    joined: "Already in a room",
+  };
+
+  const online = {
+    socket: null,
+    room: "",
+    seat: null, // 0 breaks first, 1 joins second
+    started: false, // both seats taken
+    seq: 0, // shots played this match
+    queue: [], // opponent shots waiting for the table to settle
+    localResult: null, // { seq, checksum } from our own simulation
+    remoteResult: null, // shooter's result message
+    rematch: [false, false],
+  };
+
+  function isOnline() {
+    return match.opponent === "online";
+  }
+
+  // Also true while our copy of the opponent's last shot awaits their result.
+  function isRemoteTurn() {
+    return (
+      isOnline() && (match.current !== online.seat || !!online.localResult)
+    );
+  }
+
+  // The computer or the remote player is at the table.
+  function isOpponentTurn() {
+    return isComputerTurn() || isRemoteTurn();
+  }
+
+  function defaultRelayUrl() {
+    const secure = location.protocol === "https:";
+    const host =
+      location.protocol.startsWith("http") && location.host
+        ? location.host
+        : `localhost:${ONLINE_DEFAULT_PORT}`;
+    return `${secure ? "wss" : "ws"}://${host}/ws`;
+  }
+
+  function sendOnline(msg) {
+    if (online.socket && online.socket.readyState === 1) {
+      online.socket.send(JSON.stringify({ v: ONLINE_PROTOCOL, ...msg }));
+    }
+  }
+
+  function setOnlineStatus(text) {
+    if (onlineStatusEl) onlineStatusEl.textContent = text;
+  }
+
+  function syncOnlineControls() {
+    const inRoom = !!online.socket;
+    if (btnOnlineConnect) btnOnlineConnect.hidden = inRoom;
+    if (btnOnlineLeave) btnOnlineLeave.hidden = !inRoom;
+    if (btnOnlineRematch) btnOnlineRematch.hidden = !online.started;
+    if (onlineChatEl) onlineChatEl.hidden = !inRoom;
+    for (const input of [inputOnlineServer, inputOnlineRoom]) {
+      if (input) input.disabled = inRoom;
+    }
+  }
+
+  function connectOnline() {
+    if (online.socket) return;
+    const room = inputOnlineRoom ? inputOnlineRoom.value.trim() : "";
+    if (!room) {
+      setStatus("Enter a room name to play online", true);
+      return;
+    }
+    const url =
+      (inputOnlineServer && inputOnlineServer.value.trim()) ||
+      defaultRelayUrl();
+    let socket;
+    try {
+      socket = new WebSocket(url);
+    } catch (e) {
+      setStatus(`Could not reach the relay: ${e.message}`, true);
+      return;
+    }
+    online.socket = socket;
+    online.room = room;
+    online.started = false;
+    setOnlineStatus("Connecting…");
+    syncOnlineControls();
+
+    socket.addEventListener("open", () => {
+      sendOnline({
+        type: "join",
+        room,
+        name: readPlayerName(inputPlayer1, "Player"),
+        settings: {
+          mode: gameState.mode,
+          table: gameState.poolTable,
+          raceTo: Math.max(
+            1,
+            parseInt(selectRace && selectRace.value, 10) || 5
+          ),
+          pocketTightness: TABLE.pocketTightness,
+          slideFriction: TABLE.slideFriction,
+          rollFriction: TABLE.rollFriction,
+        },
+      });
+    });
+    socket.addEventListener("message", (e) => {
+      let msg;
+      try {
+        msg = JSON.parse(e.data);
+      } catch (err) {
+        return;
+      }
+      if (msg && msg.v === ONLINE_PROTOCOL) onOnlineMessage(msg);
+    });
+    socket.addEventListener("close", () => {
+      if (online.socket === socket) leaveOnline("Disconnected from the relay");
+    });
+  }
+
+  function leaveOnline(message = "Left the online match") {
+    const socket = online.socket;
+    online.socket = null;
+    online.seat = null;
+    online.started = false;
+    online.queue = [];
+    if (socket) socket.close();
+    setOnlineStatus("Offline");
+    syncOnlineControls();
+    if (isOnline()) {
+      match.opponent = "solo";
+      syncPlayerNames();
+      setupBalls();
+    }
+    setStatus(message, true);
+  }
+
+  function onOnlineMessage(msg) {
+    switch (msg.type) {
+      case "joined":
+        online.seat = msg.seat;
+        setOnlineStatus(`Room ${online.room}: waiting for an opponent`);
+        break;
+      case "start":
+        startOnlineMatch(msg);
+        break;
+      case "shot":
+        online.queue.push(msg);
+        playQueuedShot();
+        break;
+      case "result":
+        online.remoteResult = msg;
+        checkOnlineResult();
+        break;
+      case "pass":
+        if (isRemoteTurn()) applyPassBack();
+        break;
+      case "next-rack":
+        if (rack.over && !match.over) setupBalls();
+        break;
+      case "rematch":
+        online.rematch[1 - online.seat] = true;
+        maybeRematch();
+        break;
+      case "chat":
+        addChatLine(match.players[1 - online.seat].name, msg.text);
+        break;
+      case "peer-left":
+        online.started = false;
+        syncOnlineControls();
+        setOnlineStatus(`Room ${online.room}: ${msg.name} left, waiting`);
+        setStatus(`${msg.name} left the room`, true);
+        break;
+      case "error":
+        leaveOnline(ONLINE_ERRORS[msg.reason] || "The relay refused to join");
+        break;
+    }
+  }
+
+  // Both sides set up the same table from the first seat's settings.
+  function startOnlineMatch(msg) {
+    const s = msg.settings || {};
+    online.started = true;
+    online.seq = 0;
+    online.queue = [];
+    online.localResult = null;
+    online.remoteResult = null;
+    online.rematch = [false, false];
+    hideMatchSummary();
+    if (gameState.editing) toggleEditor();
+
+    match.opponent = "online";
+    match.players[0].name = String(msg.players[0]).slice(0, 16);
+    match.players[1].name = String(msg.players[1]).slice(0, 16);
+    match.raceTo = Math.max(1, Number(s.raceTo) || 5);
+    for (const p of match.players) p.racks = 0;
+    match.history = [];
+    match.breaker = 0;
+    match.over = false;
+    activeDrill = null;
+
+    if (GAME_MODES[s.mode]) {
+      gameState.mode = s.mode;
+      if (selectMode) selectMode.value = s.mode;
+      syncHeadStringControl();
+    }
+    if (
+      TABLE_PROFILES[s.table] &&
+      TABLE_PROFILES[s.table].discipline === "pool"
+    ) {
+      gameState.poolTable = s.table;
+    }
+    applyTableProfile(modeTable());
+    syncTableControl();
+    if (s.pocketTightness >= 0 && s.pocketTightness <= 1) {
+      TABLE.pocketTightness = s.pocketTightness;
+      pockets.splice(0, pockets.length, ...PoolPhysics.createPockets(TABLE));
+      if (selectPockets) selectPockets.value = String(s.pocketTightness);
+    }
+    if (s.slideFriction > 0 && s.rollFriction > 0) {
+      TABLE.slideFriction = s.slideFriction;
+      TABLE.rollFriction = s.rollFriction;
+    }
+    setupBalls();
+    syncOnlineControls();
+    const opponent = match.players[1 - online.seat].name;
+    setOnlineStatus(`Room ${online.room}: playing ${opponent}`);
+    setStatus(
+      `Online match against ${opponent}. ${currentPlayer().name} to break.`,
+      true
+    );
+  }
+
+  function sendShot(dir, power, tip) {
+    online.seq += 1;
+    sendOnline({
+      type: "shot",
+      seq: online.seq,
+      dir: { x: dir.x, y: dir.y },
+      power,
+      tip: { x: tip.x, y: tip.y },
+      cue: { x: cueBall.x, y: cueBall.y },
+      pushOut: rack.pushOutDeclared,
+    });
+  }
+
+  // Plays the next opponent shot once our own table has come to rest.
+  function playQueuedShot() {
+    if (!online.queue.length || shotInProgress || !allBallsStopped()) return;
+    // The relay keeps order, so a result older than the queued shot means
+    // the previous shot is still being checked.
+    const pending = online.remoteResult;
+    if (online.localResult || (pending && pending.seq < online.queue[0].seq)) {
+      return;
+    }
+    const msg = online.queue.shift();
+    online.seq = msg.seq;
+    cueBall.x = msg.cue.x;
+    cueBall.y = msg.cue.y;
+    cueBall.pocketed = false;
+    if (ballInHand.active) {
+      ballInHand.active = false;
+      ballInHand.drag = null;
+      updateRackButtons();
+    }
+    rack.pushOutDeclared = !!msg.pushOut;
+    strikeCueBall(msg.dir, msg.power, msg.tip);
+  }
+
+  // Called by endShot() once the rules have been applied.
+  function onOnlineShotSettled(shooter) {
+    if (!isOnline()) return;
+    const checksum = PoolPhysics.checksum(balls);
+    if (shooter === online.seat) {
+      sendOnline({
+        type: "result",
+        seq: online.seq,
+        checksum,
+        state: captureOnlineState(),
+      });
+    } else {
+      online.localResult = { seq: online.seq, checksum };
+      checkOnlineResult();
+    }
+    playQueuedShot();
+  }
+
+  function checkOnlineResult() {
+    const local = online.localResult;
+    const remote = online.remoteResult;
+    if (!local || !remote) return;
+    online.localResult = null;
+    online.remoteResult = null;
+    if (local.seq !== remote.seq || local.checksum !== remote.checksum) {
+      const name = match.players[remote.from].name;
+      setStatus(
+        applyOnlineState(remote.state)
+          ? `Out of sync after shot ${remote.seq} – took ${name}'s table.`
+          : `Out of sync after shot ${remote.seq} – ${name}'s table was unreadable.`,
+        true
+      );
+    }
+    playQueuedShot();
+  }
+
+  function captureOnlineState() {
+    return {
+      balls: balls.map((b) => ({ x: b.x, y: b.y, pocketed: b.pocketed })),
+      rack: JSON.parse(JSON.stringify(rack)),
+      current: match.current,
+      racks: match.players.map((p) => p.racks),
+      history: match.history.slice(),
+      ballInHand: ballInHand.active,
+    };
+  }
+
+  // The peer's table comes through the relay unchecked (it may even be
+  // another build), so it is only applied when every part is well formed.
+  function isOnlineState(state) {
+    const seat = (n) => n === 0 || n === 1;
+    const sameShape = (key) =>
+      Object.prototype.hasOwnProperty.call(rack, key) &&
+      Array.isArray(rack[key]) === Array.isArray(state.rack[key]) &&
+      (!Array.isArray(rack[key]) ||
+        rack[key].length === state.rack[key].length);
+    return (
+      !!state &&
+      Array.isArray(state.balls) &&
+      state.balls.length === balls.length &&
+      state.balls.every(
+        (s) => !!s && Number.isFinite(s.x) && Number.isFinite(s.y)
+      ) &&
+      !!state.rack &&
+      typeof state.rack === "object" &&
+      !Array.isArray(state.rack) &&
+      Object.keys(state.rack).every(sameShape) &&
+      seat(state.current) &&
+      Array.isArray(state.racks) &&
+      state.racks.length === 2 &&
+      state.racks.every((n) => Number.isInteger(n) && n >= 0) &&
+      Array.isArray(state.history) &&
+      state.history.every((w) => w === null || seat(w))
+    );
+  }
+
+  function applyOnlineState(state) {
+    if (!isOnlineState(state)) return false;
+    state.balls.forEach((s, i) => {
+      const b = balls[i];
+      b.x = s.x;
+      b.y = s.y;
+      b.pocketed = !!s.pocketed;
+      b.vx = 0;
+      b.vy = 0;
+      b.spinX = 0;
+      b.spinY = 0;
+      b.side = 0;
+    });
+    Object.assign(rack, state.rack);
+    match.current = state.current;
+    state.racks.forEach((n, i) => (match.players[i].racks = n));
+    match.history = state.history;
+    ballInHand.active = !!state.ballInHand;
+    ballInHand.drag = null;
+    updateRackButtons();
+    renderScoreboard();
+    return true;
+  }
+
+  function requestRematch() {
+    if (!online.started) return;
+    online.rematch[online.seat] = true;
+    sendOnline({ type: "rematch" });
+    setStatus("Rematch requested", true);
+    maybeRematch();
+  }
+
+  function maybeRematch() {
+    if (!online.rematch[0] || !online.rematch[1]) {
+      const other = match.players[1 - online.seat].name;
+      if (online.rematch[1 - online.seat]) {
+        setStatus(`${other} wants a rematch`, true);
+      }
+      return;
+    }
+    startOnlineMatch({
+      players: match.players.map((p) => p.name),
+      settings: {
+        mode: gameState.mode,
+        table: gameState.poolTable,
+        raceTo: match.raceTo,
+      },
+    });
+  }
+
+  function sendChat() {
+    const text = inputOnlineChat ? inputOnlineChat.value.trim() : "";
+    if (!text || !online.started) return;
+    inputOnlineChat.value = "";
+    sendOnline({ type: "chat", text });
+    addChatLine(match.players[online.seat].name, text);
+  }
+
+  function addChatLine(name, text) {
+    if (!onlineChatLogEl) return;
+    const li = document.createElement("li");
+    li.textContent = `${name}: ${String(text).slice(0, 200)}`;
+    onlineChatLogEl.appendChild(li);
+    while (onlineChatLogEl.children.length > ONLINE_CHAT_LINES) {
+      onlineChatLogEl.removeChild(onlineChatLogEl.firstChild);
+    }
+  }
+
+  // === INPUT & INTERACTION ===
+  function getCanvasPos(e) {
+    const rect = canvas.getBoundingClientRect();
+    const clientX = e.touches ? e.touches[0].clientX : e.clientX;
+    const clientY = e.touches ? e.touches[0].clientY : e.clientY;
+    const x = ((clientX - rect.left) / rect.width) * TABLE.width;
+    const y = ((clientY - rect.top) / rect.height) * TABLE.height;
+    return { x, y };
+  }
+
+  function pointerNearCue(pos) {
+    if (!cueBall || cueBall.pocketed) return false;
+    const d = len(pos.x - cueBall.x, pos.y - cueBall.y);
+    const minRadius = 40; // ~44px touch target after scaling
+    return d <= Math.max(cueBall.r * 2.5, minRadius);
+  }
+
+  // Shared by pointer and keyboard shots: dir is a unit vector, power 0..1.
+  // Online, our own shots go to the opponent; theirs arrive through
+  // playQueuedShot().
+  function strikeCueBall(dir, power, tip = gameState.tipOffset) {
+    if (isOnline() && !isRemoteTurn()) sendShot(dir, power, tip);
+    startRecording(dir, power, tip);
+    PoolPhysics.strike(cueBall, dir, power * MAX_SHOT_SPEED, tip);
+    unlockAudio();
+    playCueStrike(power);
+    shotInProgress = true;
+    gameState.shotInProgress = true;
+    setPower(power);
+    beginShot();
+    setStatus("Shot in progress…", true);
+    emit("shotStart", {
+      shooter: match.current,
+      angle: Math.atan2(dir.y, dir.x),
+      power,
+      spin: { x: tip.x, y: tip.y },
+      cueBall: apiBall(cueBall),
+    });
+  }
+
+  function onPointerDown(e) {
+    if (replay.shot) return;
+    if (gameState.editing) {
+      onEditorPointerDown(e);
+      return;
+    }
+    if (matchOver()) {
+      announceRackOver();
+      return;
+    }
+    if (ballInHand.active) {
+      if (!isOpponentTurn()) onBallInHandPointerDown(e);
+      return;
+    }
+    if (!allBallsStopped()) {
+      setStatus("Wait for balls to stop before shooting", true);
+      return;
+    }
+    if (shotInProgress || !cueBall || cueBall.pocketed) return;
+    if (rack.over) {
+      announceRackOver();
+      return;
+    }
+    if (isOpponentTurn()) {
+      setStatus(`Wait for ${currentPlayer().name} to play`, false);
+      return;
+    }
+
+    const pos = getCanvasPos(e);
+    if (!pointerNearCue(pos)) {
+      // Ignore distant taps; subtle feedback only
+      setStatus("Start near the cue ball to aim", false);
+      return;
+    }
+
+    isAiming = true;
+    gameState.aiming = true;
+    angleAimShown = false;
+    aimStart = { x: cueBall.x, y: cueBall.y };
+    aimCurrent = pos;
+    setStatus("Aiming… drag back to set power", false);
+    e.preventDefault();
+  }
+
+  function onPointerMove(e) {
+    if (editor.drag) {
+      onEditorPointerMove(e);
+      return;
+    }
+    if (ballInHand.drag) {
+      onBallInHandPointerMove(e);
+      return;
+    }
+    if (!isAiming) return;
+    aimCurrent = getCanvasPos(e);
+    const pull = len(aimCurrent.x - aimStart.x, aimCurrent.y - aimStart.y);
+    setPower(pull < 4 ? 0 : Math.min(pull, 160) / 160);
+    e.preventDefault();
+  }
+
+  function onPointerUp(e) {
+    if (editor.drag) {
+      onEditorPointerUp(e);
+      return;
+    }
+    if (ballInHand.drag) {
+      onBallInHandPointerUp(e);
+      return;
+    }
+    if (!isAiming) return;
+    const pos = aimCurrent || getCanvasPos(e);
+    const pullX = pos.x - aimStart.x;
+    const pullY = pos.y - aimStart.y;
+    const pullDist = Math.min(len(pullX, pullY), 160);
+
+    if (pullDist > 4 && cueBall && !cueBall.pocketed) {
+      strikeCueBall(norm(-pullX, -pullY), pullDist / 160);
+    } else {
+      setPower(0);
+      setStatus("Ready", false);
+    }
+
+    isAiming = false;
+    gameState.aiming = false;
+    aimStart = null;
+    aimCurrent = null;
+    e.preventDefault();
+  }
+
+  function attachPointerEvents() {
+    canvas.addEventListener("mousedown", onPointerDown);
+    canvas.addEventListener("mousemove", onPointerMove);
+    window.addEventListener("mouseup", onPointerUp);
+
+    canvas.addEventListener("touchstart", onPointerDown, { passive: false });
+    canvas.addEventListener("touchmove", onPointerMove, { passive: false });
+    canvas.addEventListener("touchend", onPointerUp, { passive: false });
+  }
+
+  // Spin selector: the tip stays inside a circle a little smaller than the
+  // ball face so the cue never miscues off the edge.
+  const SPIN_STEP = 0.1;
+
+  function describeTipOffset(tip) {
+    const parts = [];
+    if (Math.abs(tip.y) >= 0.05) {
+      parts.push(
+        `${tip.y > 0 ? "follow" : "draw"} ${Math.round(Math.abs(tip.y) * 100)}%`
+      );
+    }
+    if (Math.abs(tip.x) >= 0.05) {
+      parts.push(
+        `${tip.x > 0 ? "right" : "left"} ${Math.round(Math.abs(tip.x) * 100)}%`
+      );
+    }
+    if (!parts.length) return "Centre ball";
+    const text = parts.join(", ");
+    return text[0].toUpperCase() + text.slice(1);
+  }
+
+  function setTipOffset(x, y, announce = false) {
+    const d = len(x, y);
+    if (d > 1) {
+      x /= d;
+      y /= d;
+    }
+    gameState.tipOffset = { x, y };
+    const label = describeTipOffset(gameState.tipOffset);
+    if (spinReadoutEl) spinReadoutEl.textContent = label;
+    if (spinCanvas) spinCanvas.setAttribute("aria-valuetext", label);
+    drawSpinSelector();
+    if (announce) setStatus(`Spin: ${label}`, true);
+  }
+
+  function spinPointerToTip(e) {
+    const rect = spinCanvas.getBoundingClientRect();
+    const point = e.touches && e.touches[0] ? e.touches[0] : e;
+    const half = rect.width / 2;
+    const face = half * 0.8;
+    return {
+      x: (point.clientX - rect.left - half) / face,
+      y: -(point.clientY - rect.top - half) / face,
+    };
+  }
+
+  let spinDragging = false;
+
+  function onSpinPointerDown(e) {
+    spinDragging = true;
+    const tip = spinPointerToTip(e);
+    setTipOffset(tip.x, tip.y);
+    e.preventDefault();
+  }
+
+  function onSpinPointerMove(e) {
+    if (!spinDragging) return;
+    const tip = spinPointerToTip(e);
+    setTipOffset(tip.x, tip.y);
+    e.preventDefault();
+  }
+
+  function onSpinPointerUp() {
+    if (!spinDragging) return;
+    spinDragging = false;
+    setTipOffset(gameState.tipOffset.x, gameState.tipOffset.y, true);
+  }
+
+  // Arrow keys move the tip while the selector has focus instead of aiming.
+  function onSpinKeyDown(e) {
+    const tip = gameState.tipOffset;
+    let x = tip.x;
+    let y = tip.y;
+    if (e.key === "ArrowLeft") x -= SPIN_STEP;
+    else if (e.key === "ArrowRight") x += SPIN_STEP;
+    else if (e.key === "ArrowUp") y += SPIN_STEP;
+    else if (e.key === "ArrowDown") y -= SPIN_STEP;
+    else if (e.key === "c" || e.key === "C" || e.key === "Home") {
+      x = 0;
+      y = 0;
+    } else return;
+    setTipOffset(Math.round(x * 10) / 10, Math.round(y * 10) / 10, true);
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  function attachSpinEvents() {
+    if (!spinCanvas) return;
+    spinCanvas.addEventListener("mousedown", onSpinPointerDown);
+    window.addEventListener("mousemove", onSpinPointerMove);
+    window.addEventListener("mouseup", onSpinPointerUp);
+    spinCanvas.addEventListener("touchstart", onSpinPointerDown, {
+      passive: false,
+    });
+    spinCanvas.addEventListener("touchmove", onSpinPointerMove, {
+      passive: false,
+    });
+    spinCanvas.addEventListener("touchend", onSpinPointerUp);
+    spinCanvas.addEventListener("keydown", onSpinKeyDown);
+  }
+
+  // Keyboard play: arrows or A/D turn the aim (Shift for fine steps), W/S or
+  // up/down set the power and Space shoots. Tab (while the table has focus)
+  // and the number keys snap the aim onto an object ball; T describes the
+  // table through aria-status. The controller shares the same aim.
+  const KEYBOARD_TURN = 0.05;
+  const KEYBOARD_FINE_TURN = 0.01;
+  const KEYBOARD_DEFAULT_POWER = 0.4;
+  let keyboardAimAngle = 0;
+  let keyboardPower = 0;
+  let angleAimShown = false; // drawn until the pointer takes over
+  let keyboardTarget = null; // ball the aim last snapped to
+
+  function keyboardShotPower() {
+    return keyboardPower > 0 ? keyboardPower : KEYBOARD_DEFAULT_POWER;
+  }
+
+  function keyboardAimDir() {
+    return { x: Math.cos(keyboardAimAngle), y: Math.sin(keyboardAimAngle) };
+  }
+
+  // Shared by the keyboard and gamepad shots.
+  function canTakeShot() {
+    if (!allBallsStopped() || shotInProgress || !cueBall || cueBall.pocketed)
+      return false;
+    if (replay.shot || gameState.editing) return false;
+    if (rack.over || matchOver()) {
+      announceRackOver();
+      return false;
+    }
+    return !isOpponentTurn();
+  }
+
+  function isTypingTarget(el) {
+    return !!el && /^(INPUT|SELECT|TEXTAREA)$/.test(el.tagName);
+  }
+
+  // Object balls in snap order: by number, nearest first among equals
+  // (snooker reds all share 1).
+  function snapTargets() {
+    const dist = (b) => len(b.x - cueBall.x, b.y - cueBall.y);
+    return balls
+      .filter((b) => !b.isCue && !b.pocketed)
+      .sort((a, b) => a.number - b.number || dist(a) - dist(b));
+  }
+
+  function snapToBall(b) {
+    keyboardTarget = b;
+    keyboardAimAngle = Math.atan2(b.y - cueBall.y, b.x - cueBall.x);
+    angleAimShown = true;
+    setStatus(`Aiming at the ${ballName(b)}. ${describeAimContact()}`, true);
+  }
+
+  // Returns false once the cycle runs off either end, so Tab can move focus
+  // on instead of trapping it in the table.
+  function cycleTarget(step) {
+    if (!cueBall || cueBall.pocketed) return false;
+    const list = snapTargets();
+    const i = list.indexOf(keyboardTarget);
+    const next = i < 0 ? (step > 0 ? 0 : list.length - 1) : i + step;
+    if (next < 0 || next >= list.length) {
+      keyboardTarget = null;
+      return false;
+    }
+    snapToBall(list[next]);
+    return true;
+  }
+
+  // Repeating a number steps through balls that share it.
+  // Snooker values stop at 7 (black), so 8 and 9 snap to nothing there.
+  function snapToNumber(n) {
+    if (!cueBall || cueBall.pocketed) return;
+    const snooker = modeTable() === "snooker";
+    if (snooker && n > 7) return;
+    const list = snapTargets().filter((b) => b.number === n);
+    if (!list.length) {
+      const colour = SNOOKER_COLOURS.find((c) => c.value === n);
+      let label = `${n}-ball`;
+      if (snooker) label = n === 1 ? "red" : colour.name;
+      setStatus(`No ${label} on the table`, true);
+      return;
+    }
+    const i = list.indexOf(keyboardTarget);
+    snapToBall(list[(i + 1) % list.length]);
+  }
+
+  function onKeyDown(e) {
+    if (isTypingTarget(e.target)) return;
+    if (e.key === "Tab") {
+      // Cycle targets while the table has focus; otherwise let browser handle.
+      if (e.target === canvas && !replay.shot && !gameState.editing) {
+        if (cycleTarget(e.shiftKey ? -1 : 1)) e.preventDefault();
+      }
+      return;
+    }
+    if (gameState.editing && onEditorKeyDown(e)) return;
+    if (ballInHand.active && !isOpponentTurn() && onBallInHandKeyDown(e)) {
+      return;
+    }
+    if (e.key === "h" || e.key === "H") {
+      toggleHelp();
+      e.preventDefault();
+    } else if (e.key === "r" || e.key === "R") {
+      resetTable(false);
+      e.preventDefault();
+    } else if (e.key === "m" || e.key === "M") {
+      toggleSound();
+      e.preventDefault();
+    } else if (e.key === "p" || e.key === "P") {
+      togglePushOut();
+      e.preventDefault();
+    } else if (e.key === "f" || e.key === "F") {
+      toggleFrameStats();
+      e.preventDefault();
+    } else if (e.key === "t" || e.key === "T") {
+      setStatus(describeTable(), true);
+      e.preventDefault();
+    } else if (/^[1-9]$/.test(e.key)) {
+      snapToNumber(Number(e.key));
+      e.preventDefault();
+    } else if (e.code === "Space") {
+      if (!canTakeShot()) return;
+      keyboardPower = keyboardShotPower();
+      strikeCueBall(keyboardAimDir(), keyboardPower);
+      e.preventDefault();
+    } else if (e.key === "ArrowLeft" || e.key === "a" || e.key === "A") {
+      keyboardAimAngle -= e.shiftKey ? KEYBOARD_FINE_TURN : KEYBOARD_TURN;
+      angleAimShown = true;
+      e.preventDefault();
+    } else if (e.key === "ArrowRight" || e.key === "d" || e.key === "D") {
+      keyboardAimAngle += e.shiftKey ? KEYBOARD_FINE_TURN : KEYBOARD_TURN;
+      angleAimShown = true;
+      e.preventDefault();
+    } else if (e.key === "ArrowUp" || e.key === "w" || e.key === "W") {
+      keyboardPower = Math.min(1, keyboardPower + 0.05);
+      setPower(keyboardPower);
+      angleAimShown = true;
+      setStatus("Keyboard aiming: adjust power, press Space to shoot", false);
+      e.preventDefault();
+    } else if (e.key === "ArrowDown" || e.key === "s" || e.key === "S") {
+      keyboardPower = Math.max(0, keyboardPower - 0.05);
+      setPower(keyboardPower);
+      angleAimShown = true;
+      e.preventDefault();
+    }
+  }
+
+  // === TABLE DESCRIPTION ===
+  // Spoken summary for screen reader players: where each ball sits relative
+  // to its nearest pocket, and what the current aim hits first.
+  function pocketName(p) {
+    const v = p.y < TABLE.height / 2 ? "top" : "bottom";
+    if (p.kind === "side") return `${v} side pocket`;
+    return `${v}-${p.x < TABLE.width / 2 ? "left" : "right"} corner pocket`;
+  }
+
+  // Nearest pocket and the gap to it in ball widths.
+  function describePosition(b) {
+    let best = null;
+    let bestDist = Infinity;
+    for (const p of pockets) {
+      const d = len(p.x - b.x, p.y - b.y);
+      if (d < bestDist) {
+        best = p;
+        bestDist = d;
+      }
+    }
+    const widths = Math.max(0, Math.round(bestDist / (b.r * 2)));
+    if (widths === 0) return `in the jaws of the ${pocketName(best)}`;
+    return `${widths} ball${widths === 1 ? "" : "s"} from the ${pocketName(
+      best
+    )}`;
+  }
+
+  function describeAimContact() {
+    if (!cueBall || cueBall.pocketed) return "";
+    const dir = keyboardAimDir();
+    const path = PoolPhysics.predictPath(
+      physicsState,
+      balls.indexOf(cueBall),
+      dir
+    );
+    const c = path.contact;
+    if (!c) return "The aim misses every ball.";
+    const cut = Math.round(
+      (Math.acos(
+        Math.max(-1, Math.min(1, dir.x * c.objectDir.x + dir.y * c.objectDir.y))
+      ) *
+        180) /
+        Math.PI
+    );
+    const obj = balls[c.ball];
+    const how = cut < 3 ? "full ball" : `a ${cut}° cut`;
+    return `The aim hits the ${ballName(obj)} first, ${how}.`;
+  }
+
+  function describeTable() {
+    if (!cueBall) return "The table is empty.";
+    const parts = [
+      cueBall.pocketed
+        ? "Cue ball off the table."
+        : `Cue ball ${describePosition(cueBall)}.`,
+    ];
+    const targets = snapTargets();
+    const reds = targets.filter(isRed);
+    if (reds.length) {
+      // Reds are summed up by the one closest to the cue ball.
+      const count = `${reds.length} red${reds.length === 1 ? "" : "s"}`;
+      parts.push(`${count}, the closest ${describePosition(reds[0])}.`);
+    }
+    for (const b of targets) {
+      if (isRed(b)) continue;
+      const pattern = ballPattern(b);
+      parts.push(
+        `${capitalize(ballName(b))}${
+          pattern ? ` (${pattern})` : ""
+        } ${describePosition(b)}.`
+      );
+    }
+    if (!targets.length) parts.push("No object balls left.");
+    if (!cueBall.pocketed && !ballInHand.active)
+      parts.push(describeAimContact());
+    return parts.join(" ");
+  }
+
+  // === GAMEPAD ===
+  // Polled once per frame. The left stick aims: pushed freely it points the
+  // cue straight at the stick direction (coarse); with the fine button held
+  // it turns the aim slowly. The power trigger is the stroke: squeeze to pull
+  // the cue back, release to strike at the furthest pull. The right stick
+  // walks the cue tip around the ball. Buttons are remappable and saved.
+  const GAMEPAD_PREFS_KEY = "canvas-pool-gamepad";
+  const GAMEPAD_DEADZONE = 0.2;
+  const GAMEPAD_FINE_TURN = 0.3; // radians per second at full deflection
+  const GAMEPAD_SPIN_SPEED = 1.5; // tip offset per second
+  const GAMEPAD_HAND_SPEED = 240; // ball-in-hand px per second
+  const GAMEPAD_ACTIONS = [
+    { key: "shoot", label: "Shoot" },
+    { key: "power", label: "Power stroke (hold, release to shoot)" },
+    { key: "fine", label: "Fine aim (hold)" },
+    { key: "cancel", label: "Cancel stroke / close replay" },
+    { key: "centreSpin", label: "Centre spin" },
+    { key: "replay", label: "Instant replay" },
+    { key: "reset", label: "Reset table" },
+    { key: "help", label: "Help" },
+  ];
+  // Standard mapping indices (Xbox names).
+  const GAMEPAD_DEFAULTS = {
+    shoot: 0,
+    power: 7,
+    fine: 4,
+    cancel: 1,
+    centreSpin: 11,
+    replay: 3,
+    reset: 8,
+    help: 9,
+  };
+  const GAMEPAD_BUTTON_NAMES = [
+    "A",
+    "B",
+    "X",
+    "Y",
+    "LB",
+    "RB",
+    "LT",
+    "RT",
+    "View",
+    "Menu",
+    "Left stick",
+    "Right stick",
+    "D-pad up",
+    "D-pad down",
+    "D-pad left",
+    "D-pad right",
+  ];
+
+  const gamepad = {
+    index: null,
+    bindings: { ...GAMEPAD_DEFAULTS },
+    pressed: [], // button states from the previous poll
+    stroke: 0, // furthest pull of the current stroke, 0–1
+    cancelled: false, // ignore the trigger until it is let go
+    rebinding: null, // action key waiting for a button
+  };
+
+  function gamepadButtonName(i) {
+    return GAMEPAD_BUTTON_NAMES[i] || `Button ${i}`;
+  }
+
+  function loadGamepadPrefs() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(GAMEPAD_PREFS_KEY) || "{}");
+      for (const { key } of GAMEPAD_ACTIONS) {
+        if (Number.isInteger(saved[key]) && saved[key] >= 0) {
+          gamepad.bindings[key] = saved[key];
+        }
+      }
+    } catch (e) {
+      // ignore storage errors
+    }
+  }
+
+  function saveGamepadPrefs() {
+    try {
+      localStorage.setItem(GAMEPAD_PREFS_KEY, JSON.stringify(gamepad.bindings));
+    } catch (e) {
+      // ignore storage errors
+    }
+  }
+
+  function renderGamepadBindings() {
+    if (!gamepadBindingsEl) return;
+    gamepadBindingsEl.textContent = "";
+    for (const { key, label } of GAMEPAD_ACTIONS) {
+      const tr = document.createElement("tr");
+      const name = document.createElement("td");
+      name.textContent = label;
+      const cell = document.createElement("td");
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "secondary-btn";
+      button.textContent =
+        gamepad.rebinding === key
+          ? "Press a button…"
+          : gamepadButtonName(gamepad.bindings[key]);
+      button.setAttribute("aria-label", `${label}: change button`);
+      button.addEventListener("click", () => startRebinding(key));
+      cell.appendChild(button);
+      tr.append(name, cell);
+      gamepadBindingsEl.appendChild(tr);
+    }
+  }
+
+  function startRebinding(key) {
+    gamepad.rebinding = gamepad.rebinding === key ? null : key;
+    renderGamepadBindings();
+    if (gamepad.rebinding) {
+      setStatus("Press a controller button to bind it", true);
+    }
+  }
+
+  // A button already in use swaps places with the action's old one.
+  function bindGamepadButton(key, index) {
+    const old = gamepad.bindings[key];
+    for (const other of Object.keys(gamepad.bindings)) {
+      if (gamepad.bindings[other] === index) gamepad.bindings[other] = old;
+    }
+    gamepad.bindings[key] = index;
+    gamepad.rebinding = null;
+    saveGamepadPrefs();
+    renderGamepadBindings();
+    const action = GAMEPAD_ACTIONS.find((a) => a.key === key);
+    setStatus(`${action.label}: ${gamepadButtonName(index)}`, true);
+  }
+
+  function resetGamepadBindings() {
+    gamepad.bindings = { ...GAMEPAD_DEFAULTS };
+    gamepad.rebinding = null;
+    saveGamepadPrefs();
+    renderGamepadBindings();
+    setStatus("Controller buttons restored to defaults", true);
+  }
+
+  function toggleGamepadPanel() {
+    if (!gamepadPanel) return;
+    gamepadPanel.hidden = !gamepadPanel.hidden;
+    if (btnGamepad) {
+      btnGamepad.setAttribute("aria-expanded", !gamepadPanel.hidden);
+    }
+    if (gamepadPanel.hidden && gamepad.rebinding) {
+      gamepad.rebinding = null;
+      renderGamepadBindings();
+    }
+  }
+
+  function onGamepadConnected(e) {
+    if (gamepad.index === null) gamepad.index = e.gamepad.index;
+    const text = `Controller connected: ${e.gamepad.id}`;
+    if (gamepadStatusEl) gamepadStatusEl.textContent = text;
+    setStatus(text, true);
+  }
+
+  function onGamepadDisconnected(e) {
+    if (e.gamepad.index !== gamepad.index) return;
+    gamepad.index = null;
+    gamepad.pressed = [];
+    endGamepadStroke();
+    if (gamepadStatusEl) gamepadStatusEl.textContent = "No controller";
+    setStatus("Controller disconnected", true);
+  }
+
+  function stickValue(v) {
+    return Math.abs(v) < GAMEPAD_DEADZONE ? 0 : v;
+  }
+
+  function endGamepadStroke() {
+    if (gamepad.stroke > 0) {
+      isAiming = false;
+      gameState.aiming = false;
+      aimStart = null;
+      aimCurrent = null;
+    }
+    gamepad.stroke = 0;
+  }
+
+  // Shows the stroke through the pointer aiming state so drawAim() renders it.
+  function showGamepadStroke(pull) {
+    const dir = keyboardAimDir();
+    isAiming = true;
+    gameState.aiming = true;
+    aimStart = { x: cueBall.x, y: cueBall.y };
+    aimCurrent = {
+      x: cueBall.x - dir.x * pull * 160,
+      y: cueBall.y - dir.y * pull * 160,
+    };
+    setPower(pull);
+  }
+
+  function gamepadShoot(power) {
+    endGamepadStroke();
+    if (!canTakeShot() || power <= 0) return;
+    keyboardPower = power;
+    strikeCueBall(keyboardAimDir(), power);
+  }
+
+  function pollGamepad(frameMs) {
+    if (gamepad.index === null || !navigator.getGamepads) return;
+    const pad = navigator.getGamepads()[gamepad.index];
+    if (!pad) return;
+    const dt = frameMs / 1000;
+    const b = gamepad.bindings;
+    const isDown = (i) => !!pad.buttons[i] && pad.buttons[i].pressed;
+    const pressed = pad.buttons.map((btn) => btn.pressed);
+    const previous = gamepad.pressed;
+    const justPressed = (i) => pressed[i] && !previous[i];
+    gamepad.pressed = pressed;
+
+    if (gamepad.rebinding) {
+      const index = pressed.findIndex((p, i) => p && !previous[i]);
+      if (index >= 0) bindGamepadButton(gamepad.rebinding, index);
+      return;
+    }
+
+    if (justPressed(b.help)) toggleHelp();
+    if (justPressed(b.reset)) resetTable(false);
+    if (justPressed(b.replay)) openLastReplay();
+    if (justPressed(b.cancel)) {
+      if (replay.shot) closeReplay();
+      else if (gamepad.stroke > 0) {
+        endGamepadStroke();
+        gamepad.cancelled = true;
+        setPower(0);
+        setStatus("Stroke cancelled", false);
+      }
+    }
+    if (replay.shot || gameState.editing || isOpponentTurn()) return;
+
+    const lx = stickValue(pad.axes[0] || 0);
+    const ly = stickValue(pad.axes[1] || 0);
+    const rx = stickValue(pad.axes[2] || 0);
+    const ry = stickValue(pad.axes[3] || 0);
+
+    if (ballInHand.active) {
+      if (lx || ly) {
+        const pos = clampToPlayArea({
+          x: cueBall.x + lx * GAMEPAD_HAND_SPEED * dt,
+          y: cueBall.y + ly * GAMEPAD_HAND_SPEED * dt,
+        });
+        if (isLegalCueSpot(pos.x, pos.y)) {
+          cueBall.x = pos.x;
+          cueBall.y = pos.y;
+        }
+      }
+      if (justPressed(b.shoot)) confirmBallInHand();
+      return;
+    }
+
+    if (isDown(b.fine)) {
+      keyboardAimAngle += lx * GAMEPAD_FINE_TURN * dt;
+    } else if (len(lx, ly) > 0.5) {
+      keyboardAimAngle = Math.atan2(ly, lx);
+    }
+    if (rx || ry) {
+      const tip = gameState.tipOffset;
+      setTipOffset(
+        tip.x + rx * GAMEPAD_SPIN_SPEED * dt,
+        tip.y - ry * GAMEPAD_SPIN_SPEED * dt
+      );
+    }
+    if (justPressed(b.centreSpin)) setTipOffset(0, 0, true);
+
+    if (!allBallsStopped() || shotInProgress || !cueBall || cueBall.pocketed) {
+      return;
+    }
+    const trigger = pad.buttons[b.power] ? pad.buttons[b.power].value : 0;
+    if (gamepad.cancelled) {
+      gamepad.cancelled = trigger > 0.05;
+    } else if (justPressed(b.shoot)) {
+      gamepadShoot(gamepad.stroke || keyboardShotPower());
+    } else if (trigger > 0.05) {
+      gamepad.stroke = Math.max(gamepad.stroke, trigger);
+      showGamepadStroke(trigger);
+    } else if (gamepad.stroke > 0) {
+      gamepadShoot(gamepad.stroke);
+    }
+  }
+
+  // === CONTROLS & TOGGLES ===
+  function toggleHelp() {
+    if (!helpPanel) return;
+    gameState.helpOpen = !gameState.helpOpen;
+    helpPanel.hidden = !gameState.helpOpen;
+  }
+
+  function resetTable(fromMidShot) {
+    if (fromMidShot && !gameState.reducedMotion) {
+      // Optionally we could require confirmation; keeping it simple.
+    }
+    if (matchOver()) {
+      setStatus(matchOverMessage(), true);
+      return;
+    }
+    if (isOnline()) {
+      // Both tables rack together, and only once the rack is decided.
+      if (!rack.over) {
+        setStatus("The next rack starts once this one is decided", true);
+        return;
+      }
+      sendOnline({ type: "next-rack" });
+    }
+    setupBalls();
+  }
+
+  // Switches to the high contrast theme and back to the one before it.
+  function toggleHighContrast() {
+    const on = gameState.theme !== "contrast";
+    if (on) gameState.themeBeforeContrast = gameState.theme;
+    setTheme(on ? "contrast" : gameState.themeBeforeContrast || "classic");
+    setStatus(on ? "High contrast mode on" : "High contrast mode off", true);
+  }
+
+  function toggleFrameStats() {
+    frameStats.shown = !frameStats.shown;
+    frameStats.frames = 0;
+    frameStats.elapsed = 0;
+    frameStats.drawing = 0;
+    if (btnFps) btnFps.setAttribute("aria-pressed", String(frameStats.shown));
+    setStatus(
+      frameStats.shown ? "Frame rate overlay on" : "Frame rate overlay off",
+      true
+    );
+  }
+
+  function toggleReducedMotion() {
+    gameState.reducedMotion = !gameState.reducedMotion;
+    document.body.classList.toggle("reduced-motion", gameState.reducedMotion);
+    setStatus(
+      gameState.reducedMotion
+        ? "Reduced motion mode on"
+        : "Reduced motion mode off",
+      true
+    );
+  }
+
+  const AIM_ASSIST_LABELS = {
+    full: "Aim assist: full",
+    partial: "Aim assist: ghost ball only",
+    off: "Aim assist off",
+  };
+
+  function setAimAssist(level) {
+    if (!AIM_ASSIST_LABELS[level]) return;
+    gameState.aimAssist = level;
+    if (selectAimAssist) selectAimAssist.value = level;
+    setStatus(AIM_ASSIST_LABELS[level], true);
+  }
+
+  // Recuts the pockets in place; physicsState shares the same array.
+  function setPocketTightness(tightness) {
+    if (!allBallsStopped() || isOnline()) {
+      if (selectPockets) selectPockets.value = String(TABLE.pocketTightness);
+      setStatus(
+        isOnline() ? ONLINE_LOCKED : "Change pockets between shots",
+        true
+      );
+      return;
+    }
+    TABLE.pocketTightness = tightness;
+    pockets.splice(0, pockets.length, ...PoolPhysics.createPockets(TABLE));
+    invalidateTableLayer();
+    const label =
+      tightness < 0.25 ? "generous" : tightness > 0.75 ? "tight" : "standard";
+    setStatus(`Pockets: ${label}`, true);
+  }
+
+  // Rebuilds the table, pockets and canvas from a profile and lays its
+  // cloth unless the player chose one; balls are racked again by the caller.
+  function applyTableProfile(key) {
+    const profile = TABLE_PROFILES[key] || TABLE_PROFILES.pool9;
+    if (profile === TABLE_PROFILES[gameState.tableProfile]) return;
+    gameState.tableProfile = key;
+    for (const field of TABLE_GEOMETRY) TABLE[field] = profile[field];
+    pockets.splice(0, pockets.length, ...PoolPhysics.createPockets(TABLE));
+    resizeCanvas();
+    invalidateTableLayer();
+    applyCloth(gameState.clothChosen ? gameState.cloth : profile.cloth);
+  }
+
+  function renderTableOptions() {
+    if (!selectTable) return;
+    selectTable.textContent = "";
+    for (const key of Object.keys(TABLE_PROFILES)) {
+      if (TABLE_PROFILES[key].discipline !== "pool") continue;
+      const option = document.createElement("option");
+      option.value = key;
+      option.textContent = TABLE_PROFILES[key].label;
+      selectTable.appendChild(option);
+    }
+    syncTableControl();
+  }
+
+  // Modes with a table of their own (snooker) hide the pool table choice.
+  function syncTableControl() {
+    if (selectTable) selectTable.value = gameState.poolTable;
+    if (tableControlEl) tableControlEl.hidden = !!getMode().table;
+  }
+
+  // Only between racks: before the break or once the rack is decided.
+  function setPoolTable(key) {
+    const profile = TABLE_PROFILES[key];
+    if (!profile || profile.discipline !== "pool" || getMode().table) return;
+    if (isOnline()) {
+      syncTableControl();
+      setStatus(ONLINE_LOCKED, true);
+      return;
+    }
+    if (!allBallsStopped() || (!rack.isBreak && !rack.over)) {
+      syncTableControl();
+      setStatus("Change the table between racks", true);
+      return;
+    }
+    gameState.poolTable = key;
+    try {
+      localStorage.setItem(TABLE_PREF_KEY, key);
+    } catch (e) {
+      // ignore storage errors
+    }
+    activeDrill = null;
+    applyTableProfile(key);
+    setupBalls();
+    setStatus(`Table: ${profile.label}. ${gameState.lastMessage}`, true);
+  }
+
+  function loadTablePref() {
+    try {
+      const key = localStorage.getItem(TABLE_PREF_KEY);
+      if (TABLE_PROFILES[key] && TABLE_PROFILES[key].discipline === "pool") {
+        gameState.poolTable = key;
+      }
+    } catch (e) {
+      // ignore storage errors
+    }
+  }
+
+  // Cloth presets live in physics.js; "custom" is whatever the calibration
+  // page last saved.
+  const CUSTOM_CLOTH_KEY = "canvas-pool-custom-cloth";
+  const CLOTH_PREF_KEY = "canvas-pool-cloth";
+
+  function readCustomCloth() {
+    try {
+      const cloth = JSON.parse(localStorage.getItem(CUSTOM_CLOTH_KEY));
+      return cloth && cloth.slideFriction > 0 && cloth.rollFriction > 0
+        ? cloth
+        : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function clothOptions() {
+    const options = { ...PoolPhysics.CLOTH_PRESETS };
+    const custom = readCustomCloth();
+    if (custom) options.custom = { ...custom, label: "Custom (calibrated)" };
+    return options;
+  }
+
+  function renderClothOptions() {
+    if (!selectCloth) return;
+    const options = clothOptions();
+    selectCloth.textContent = "";
+    for (const key of Object.keys(options)) {
+      const option = document.createElement("option");
+      option.value = key;
+      option.textContent = options[key].label;
+      selectCloth.appendChild(option);
+    }
+    selectCloth.value = gameState.cloth;
+  }
+
+  function setCloth(key) {
+    const cloth = clothOptions()[key];
+    if (!cloth) return;
+    if (!allBallsStopped() || isOnline()) {
+      if (selectCloth) selectCloth.value = gameState.cloth;
+      setStatus(
+        isOnline() ? ONLINE_LOCKED : "Change the cloth between shots",
+        true
+      );
+      return;
+    }
+    applyCloth(key);
+    gameState.clothChosen = true;
+    try {
+      localStorage.setItem(CLOTH_PREF_KEY, key);
+    } catch (e) {
+      // ignore storage errors
+    }
+    setStatus(`Cloth: ${cloth.label}`, true);
+  }
+
+  function loadClothPref() {
+    try {
+      const key = localStorage.getItem(CLOTH_PREF_KEY);
+      if (key && clothOptions()[key]) {
+        gameState.cloth = key;
+        gameState.clothChosen = true;
+      }
+    } catch (e) {
+      // ignore storage errors
+    }
+  }
+
+  function applyCloth(key) {
+    const cloth = clothOptions()[key];
+    if (!cloth) return;
+    gameState.cloth = key;
+    TABLE.slideFriction = cloth.slideFriction;
+    TABLE.rollFriction = cloth.rollFriction;
+    if (selectCloth) selectCloth.value = key;
+  }
+
+  function toggleSound() {
+    gameState.soundOn = !gameState.soundOn;
+    syncSoundControls();
+    saveSoundPrefs();
+    if (gameState.soundOn) ensureAudio();
+    setStatus(gameState.soundOn ? "Sound on" : "Sound off", true);
+  }
+
+  function syncSoundControls() {
+    if (btnToggleSound) {
+      btnToggleSound.textContent = `Sound: ${gameState.soundOn ? "On" : "Off"}`;
+      btnToggleSound.setAttribute("aria-pressed", String(gameState.soundOn));
+    }
+    if (inputVolume) inputVolume.value = String(Math.round(sound.volume * 100));
+  }
+
+  function attachControlEvents() {
+    if (btnHelp) btnHelp.addEventListener("click", () => toggleHelp());
+    if (btnHelpText) btnHelpText.addEventListener("click", () => toggleHelp());
+    if (btnRestart)
+      btnRestart.addEventListener("click", () => resetTable(true));
+    if (btnResetTable)
+      btnResetTable.addEventListener("click", () => resetTable(true));
+    if (btnHighContrast)
+      btnHighContrast.addEventListener("click", () => toggleHighContrast());
+    if (btnReducedMotion)
+      btnReducedMotion.addEventListener("click", () => toggleReducedMotion());
+    if (btnFps) btnFps.addEventListener("click", () => toggleFrameStats());
+    if (btnToggleSound)
+      btnToggleSound.addEventListener("click", () => toggleSound());
+    if (inputVolume)
+      inputVolume.addEventListener("input", () =>
+        setVolume(Number(inputVolume.value) / 100)
+      );
+    if (selectMode)
+      selectMode.addEventListener("change", () => setMode(selectMode.value));
+    if (selectAimAssist)
+      selectAimAssist.addEventListener("change", () =>
+        setAimAssist(selectAimAssist.value)
+      );
+    if (selectPockets)
+      selectPockets.addEventListener("change", () =>
+        setPocketTightness(Number(selectPockets.value))
+      );
+    if (selectCloth)
+      selectCloth.addEventListener("change", () => setCloth(selectCloth.value));
+    if (selectTheme)
+      selectTheme.addEventListener("change", () =>
+        setTheme(selectTheme.value, true)
+      );
+    if (selectTable)
+      selectTable.addEventListener("change", () =>
+        setPoolTable(selectTable.value)
+      );
+    if (btnPushOut) btnPushOut.addEventListener("click", () => togglePushOut());
+    if (btnPassBack) btnPassBack.addEventListener("click", () => passBack());
+    if (btnPlaceCue)
+      btnPlaceCue.addEventListener("click", () => confirmBallInHand());
+    if (inputHeadString)
+      inputHeadString.addEventListener("change", () => {
+        getMode().headString = inputHeadString.checked;
+        setStatus(
+          inputHeadString.checked
+            ? "Scratches: ball in hand behind the head string"
+            : "Scratches: ball in hand anywhere",
+          true
+        );
+      });
+    if (matchForm)
+      matchForm.addEventListener("submit", (e) => {
+        e.preventDefault();
+        newMatch();
+      });
+    if (btnSummaryNewMatch)
+      btnSummaryNewMatch.addEventListener("click", () => newMatch());
+    if (btnReplay) btnReplay.addEventListener("click", () => openLastReplay());
+    if (selectLevel)
+      selectLevel.addEventListener("change", () =>
+        startLevel(Number(selectLevel.value))
+      );
+    if (btnNextLevel) btnNextLevel.addEventListener("click", () => nextLevel());
+    if (inputLevelPack)
+      inputLevelPack.addEventListener("change", () => {
+        const file = inputLevelPack.files[0];
+        inputLevelPack.value = "";
+        if (file) importLevelPack(file);
+      });
+    if (btnStats) btnStats.addEventListener("click", () => toggleStats());
+    if (btnGamepad)
+      btnGamepad.addEventListener("click", () => toggleGamepadPanel());
+    if (btnGamepadDefaults)
+      btnGamepadDefaults.addEventListener("click", () =>
+        resetGamepadBindings()
+      );
+    window.addEventListener("gamepadconnected", onGamepadConnected);
+    window.addEventListener("gamepaddisconnected", onGamepadDisconnected);
+    if (btnStatsClose)
+      btnStatsClose.addEventListener("click", () => toggleStats());
+    if (btnStatsExport)
+      btnStatsExport.addEventListener("click", () => exportStats());
+    if (selectStatsPlayer)
+      selectStatsPlayer.addEventListener("change", () => renderStats());
+    if (btnReplayExport)
+      btnReplayExport.addEventListener("click", () => exportReplay());
+    if (inputReplayImport)
+      inputReplayImport.addEventListener("change", () => {
+        const file = inputReplayImport.files[0];
+        inputReplayImport.value = "";
+        if (file) importReplay(file);
+      });
+    if (btnReplayPlay)
+      btnReplayPlay.addEventListener("click", () => toggleReplayPlaying());
+    if (replayScrubEl)
+      replayScrubEl.addEventListener("input", () =>
+        seekReplay(Number(replayScrubEl.value))
+      );
+    if (btnReplayClose)
+      btnReplayClose.addEventListener("click", () => closeReplay());
+    if (btnEditTable)
+      btnEditTable.addEventListener("click", () => toggleEditor());
+    if (btnAddBall) btnAddBall.addEventListener("click", () => addEditorBall());
+    if (btnRemoveBall)
+      btnRemoveBall.addEventListener("click", () => removeSelectedBall());
+    if (btnSaveDrill) btnSaveDrill.addEventListener("click", () => saveDrill());
+    if (btnLoadDrill)
+      btnLoadDrill.addEventListener("click", () =>
+        loadDrill(selectDrill.value)
+      );
+    if (btnDeleteDrill)
+      btnDeleteDrill.addEventListener("click", () =>
+        deleteDrill(selectDrill.value)
+      );
+    if (onlineForm)
+      onlineForm.addEventListener("submit", (e) => {
+        e.preventDefault();
+        connectOnline();
+      });
+    if (btnOnlineLeave)
+      btnOnlineLeave.addEventListener("click", () => leaveOnline());
+    if (btnOnlineRematch)
+      btnOnlineRematch.addEventListener("click", () => requestRematch());
+    if (onlineChatForm)
+      onlineChatForm.addEventListener("submit", (e) => {
+        e.preventDefault();
+        sendChat();
+      });
+    for (const input of [inputPlayer1, inputPlayer2]) {
+      if (!input) continue;
+      input.addEventListener("change", () => {
+        syncPlayerNames();
+        renderScoreboard();
+      });
+    }
+
+    window.addEventListener("keydown", onKeyDown);
+  }
+
+  // === PRACTICE EDITOR & DRILLS ===
+  // Editor mode turns pointer input into ball placement. Drills are named
+  // layouts kept in localStorage; a loaded drill replaces the mode's rack
+  // until another mode or match is chosen, so Reset Table sets it up again.
+  const DRILLS_KEY = "canvas-pool-drills";
+  const EDITOR_NUDGE = 2;
+
+  const editor = { selected: null, drag: null };
+  let activeDrill = null;
+
+  function isLegalSpot(x, y, ball) {
+    const r = TABLE.ballRadius;
+    return (
+      x >= TABLE.rail + r &&
+      x <= TABLE.width - TABLE.rail - r &&
+      y >= TABLE.rail + r &&
+      y <= TABLE.height - TABLE.rail - r &&
+      isSpotFree(x, y, ball)
+    );
+  }
+
+  function clampToPlayArea(pos) {
+    const r = TABLE.ballRadius;
+    return {
+      x: Math.max(
+        TABLE.rail + r,
+        Math.min(TABLE.width - TABLE.rail - r, pos.x)
+      ),
+      y: Math.max(
+        TABLE.rail + r,
+        Math.min(TABLE.height - TABLE.rail - r, pos.y)
+      ),
+    };
+  }
+
+  function ballAt(pos) {
+    for (const b of balls) {
+      if (!b.pocketed && len(b.x - pos.x, b.y - pos.y) <= b.r * 1.5) return b;
+    }
+    return null;
+  }
+
+  function toggleEditor() {
+    if (!gameState.editing) {
+      if (isOnline()) {
+        setStatus(ONLINE_LOCKED, true);
+        return;
+      }
+      if (getMode().table) {
+        setStatus(
+          `The table editor is not available in ${getMode().label}`,
+          true
+        );
+        return;
+      }
+      if (!allBallsStopped() || shotInProgress || isOpponentTurn()) {
+        setStatus("The table can be edited between shots", true);
+        return;
+      }
+      closeReplay();
+    }
+    gameState.editing = !gameState.editing;
+    editor.selected = null;
+    editor.drag = null;
+    if (btnEditTable) {
+      btnEditTable.setAttribute("aria-pressed", String(gameState.editing));
+    }
+    if (editorToolsEl) editorToolsEl.hidden = !gameState.editing;
+    if (gameState.editing) {
+      renderEditorBallOptions();
+      setStatus("Editing table: drag balls to place them", true);
+    } else {
+      // Whatever was set up is played as a position, not a break.
+      rack.isBreak = false;
+      rack.pushOutAvailable = false;
+      updateRackButtons();
+      setStatus("Editing finished. Ready.", true);
+    }
+  }
+
+  function setEditorSelection(b) {
+    editor.selected = b;
+    if (b) {
+      setStatus(
+        `${ballName(b)} selected: drag or use arrow keys, Delete removes it`,
+        false
+      );
+    }
+  }
+
+  function onEditorPointerDown(e) {
+    const pos = getCanvasPos(e);
+    const b = ballAt(pos);
+    setEditorSelection(b);
+    if (b) editor.drag = { ball: b, from: { x: b.x, y: b.y } };
+    e.preventDefault();
+  }
+
+  function onEditorPointerMove(e) {
+    const pos = clampToPlayArea(getCanvasPos(e));
+    editor.drag.ball.x = pos.x;
+    editor.drag.ball.y = pos.y;
+    e.preventDefault();
+  }
+
+  function onEditorPointerUp(e) {
+    const { ball, from } = editor.drag;
+    editor.drag = null;
+    if (isLegalSpot(ball.x, ball.y, ball)) {
+      setStatus(`${ballName(ball)} placed`, true);
+    } else {
+      ball.x = from.x;
+      ball.y = from.y;
+      setStatus("That spot overlaps another ball – ball returned", true);
+    }
+    e.preventDefault();
+  }
+
+  // Returns true when the key was used by the editor.
+  function onEditorKeyDown(e) {
+    const b = editor.selected;
+    if (!b) return false;
+    const moves = {
+      ArrowLeft: [-1, 0],
+      ArrowRight: [1, 0],
+      ArrowUp: [0, -1],
+      ArrowDown: [0, 1],
+    };
+    if (moves[e.key]) {
+      const pos = clampToPlayArea({
+        x: b.x + moves[e.key][0] * EDITOR_NUDGE,
+        y: b.y + moves[e.key][1] * EDITOR_NUDGE,
+      });
+      if (isLegalSpot(pos.x, pos.y, b)) {
+        b.x = pos.x;
+        b.y = pos.y;
+      }
+    } else if (e.key === "Delete" || e.key === "Backspace") {
+      removeSelectedBall();
+    } else if (e.key === "Escape") {
+      setEditorSelection(null);
+    } else {
+      return false;
+    }
+    e.preventDefault();
+    return true;
+  }
+
+  // Lists the numbered balls that are not on the table.
+  function renderEditorBallOptions() {
+    if (!selectEditorBall) return;
+    selectEditorBall.textContent = "";
+    for (let n = 1; n <= 15; n++) {
+      if (balls.some((b) => !b.pocketed && b.number === n)) continue;
+      const option = document.createElement("option");
+      option.value = String(n);
+      option.textContent = `${n}-ball`;
+      selectEditorBall.appendChild(option);
+    }
+    if (btnAddBall) btnAddBall.disabled = !selectEditorBall.options.length;
+  }
+
+  function addEditorBall() {
+    const number = parseInt(selectEditorBall && selectEditorBall.value, 10);
+    if (!number) return;
+    // Pocketed balls are dropped so each number appears once.
+    for (let i = balls.length - 1; i >= 0; i--) {
+      if (balls[i].number === number) balls.splice(i, 1);
+    }
+    const b = createNumberedBall(number, 0, 0);
+    const foot = footSpot();
+    balls.push(b);
+    spotBall(b, foot.x, foot.y);
+    setEditorSelection(b);
+    renderEditorBallOptions();
+    setStatus(`${ballName(b)} added on the foot spot`, true);
+  }
+
+  function removeSelectedBall() {
+    const b = editor.selected;
+    if (!b) {
+      setStatus("Select a ball to remove", true);
+      return;
+    }
+    if (b.isCue) {
+      setStatus("The cue ball stays on the table", true);
+      return;
+    }
+    balls.splice(balls.indexOf(b), 1);
+    editor.selected = null;
+    renderEditorBallOptions();
+    setStatus(`${ballName(b)} removed`, true);
+  }
+
+  function currentLayout(name) {
+    return {
+      name,
+      table: gameState.poolTable,
+      balls: balls
+        .filter((b) => !b.pocketed)
+        .map((b) => ({
+          number: b.isCue ? 0 : b.number,
+          x: Math.round(b.x * 10) / 10,
+          y: Math.round(b.y * 10) / 10,
+        })),
+    };
+  }
+
+  // Sets out a saved layout; number 0 is the cue ball.
+  function placeLayout(layout) {
+    cueBall = null;
+    for (const spot of layout.balls) {
+      const b =
+        spot.number === 0
+          ? createBall(spot.x, spot.y, "#ffffff", true)
+          : createNumberedBall(spot.number, spot.x, spot.y);
+      if (b.isCue) cueBall = b;
+      balls.push(b);
+    }
+    if (!cueBall) {
+      cueBall = createBall(
+        TABLE.width * 0.25,
+        TABLE.height / 2,
+        "#ffffff",
+        true
+      );
+      balls.unshift(cueBall);
+      spotBall(cueBall, cueBall.x, cueBall.y);
+    }
+  }
+
+  function readDrills() {
+    try {
+      const list = JSON.parse(localStorage.getItem(DRILLS_KEY) || "[]");
+      return Array.isArray(list) ? list : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function writeDrills(list) {
+    try {
+      localStorage.setItem(DRILLS_KEY, JSON.stringify(list));
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function renderDrillList(selected) {
+    if (!selectDrill) return;
+    const drills = readDrills();
+    selectDrill.textContent = "";
+    for (const d of drills) {
+      const option = document.createElement("option");
+      option.value = d.name;
+      option.textContent = d.name;
+      selectDrill.appendChild(option);
+    }
+    if (selected) selectDrill.value = selected;
+    const empty = drills.length === 0;
+    if (btnLoadDrill) btnLoadDrill.disabled = empty;
+    if (btnDeleteDrill) btnDeleteDrill.disabled = empty;
+  }
+
+  function saveDrill() {
+    const name = inputDrillName ? inputDrillName.value.trim() : "";
+    if (!name) {
+      setStatus("Name the drill before saving", true);
+      return;
+    }
+    if (!allBallsStopped() || !cueBall || cueBall.pocketed) {
+      setStatus("Save a drill while the balls are at rest", true);
+      return;
+    }
+    const drills = readDrills().filter((d) => d.name !== name);
+    const drill = currentLayout(name);
+    drills.push(drill);
+    drills.sort((a, b) => a.name.localeCompare(b.name));
+    if (!writeDrills(drills)) {
+      setStatus("Could not save the drill (storage unavailable)", true);
+      return;
+    }
+    // Reset Table now comes back to this layout.
+    activeDrill = drill;
+    renderDrillList(name);
+    setStatus(`Drill "${name}" saved`, true);
+  }
+
+  function loadDrill(name) {
+    const drill = readDrills().find((d) => d.name === name);
+    if (!drill || !Array.isArray(drill.balls)) return;
+    if (!allBallsStopped() || isOpponentTurn()) {
+      setStatus("Load a drill between shots", true);
+      return;
+    }
+    if (getMode().table) {
+      setStatus(`Drills can't be loaded in ${getMode().label}`, true);
+      return;
+    }
+    if (isOnline()) {
+      setStatus(ONLINE_LOCKED, true);
+      return;
+    }
+    // Drills remember the table they were saved on.
+    if (TABLE_PROFILES[drill.table] && drill.table !== gameState.poolTable) {
+      gameState.poolTable = drill.table;
+      applyTableProfile(drill.table);
+      syncTableControl();
+    }
+    activeDrill = drill;
+    setupBalls();
+    if (gameState.editing) renderEditorBallOptions();
+  }
+
+  function deleteDrill(name) {
+    const drills = readDrills();
+    const next = drills.filter((d) => d.name !== name);
+    if (next.length === drills.length) return;
+    writeDrills(next);
+    renderDrillList();
+    setStatus(`Drill "${name}" deleted`, true);
+  }
+
+  // === CHALLENGES ===
+  // Challenge levels come from a JSON level pack (levels/challenges.json by
+  // default, or one imported from a file). A level sets out the balls in
+  // playfield fractions (0–1 between the cushions), allows a number of
+  // shots and sets a goal:
+  //   pot: [numbers] to pot, optionally all in `pocket` (e.g. "top-right")
+  //   avoid: [numbers] that must not be touched
+  //   firstContact: the number the cue ball must hit first on every shot
+  //   cushions: cushions the cue ball needs before its first contact
+  //   zone: { x, y, w, h } where the cue ball must finish
+  // Finishing within `par` shots (1 by default) earns three stars, each
+  // extra shot one fewer. Best stars per level are kept in localStorage.
+  // Packs are checked by formats.js.
+  const LEVEL_PACK_URL = "levels/challenges.json";
+  const CHALLENGE_PROGRESS_KEY = "canvas-pool-challenges";
+  const CHALLENGE_PROGRESS_VERSION = 1;
+
+  const challenge = {
+    pack: null,
+    index: 0,
+    shotsUsed: 0,
+    loading: false,
+    progress: {}, // pack id -> level id -> best stars
+  };
+
+  function currentLevel() {
+    return challenge.pack ? challenge.pack.levels[challenge.index] : null;
+  }
+
+  function challengeTable() {
+    const level = currentLevel();
+    return level && level.table;
+  }
+
+  function levelSpot(f) {
+    const r = TABLE.ballRadius;
+    return {
+      x: TABLE.rail + r + f.x * (TABLE.width - 2 * (TABLE.rail + r)),
+      y: TABLE.rail + r + f.y * (TABLE.height - 2 * (TABLE.rail + r)),
+    };
+  }
+
+  function levelZone(zone) {
+    const a = levelSpot(zone);
+    const b = levelSpot({ x: zone.x + zone.w, y: zone.y + zone.h });
+    return { x: a.x, y: a.y, w: b.x - a.x, h: b.y - a.y };
+  }
+
+  function challengeCueStart() {
+    const level = currentLevel();
+    const cue = level && level.balls.find((b) => b.number === 0);
+    return cue
+      ? levelSpot(cue)
+      : { x: TABLE.width * 0.25, y: TABLE.height / 2 };
+  }
+
+  function rackChallenge() {
+    challenge.shotsUsed = 0;
+    const level = currentLevel();
+    if (!level) return;
+    for (const spot of level.balls) {
+      if (spot.number === 0) continue;
+      const pos = levelSpot(spot);
+      balls.push(createNumberedBall(spot.number, pos.x, pos.y));
+    }
+  }
+
+  function pocketKey(p) {
+    const v = p.y < TABLE.height / 2 ? "top" : "bottom";
+    if (p.kind === "side") return `${v}-side`;
+    return `${v}-${p.x < TABLE.width / 2 ? "left" : "right"}`;
+  }
+
+  function describeGoal(level) {
+    return `${level.name}: ${level.description} ${level.shots} shot${
+      level.shots === 1 ? "" : "s"
+    }.`;
+  }
+
+  function shotsLeft() {
+    const level = currentLevel();
+    return level ? level.shots - challenge.shotsUsed : 0;
+  }
+
+  function judgeChallenge(s) {
+    const level = currentLevel();
+    if (!level) return { message: "No level loaded.", legalPot: true };
+    const goal = level.goal;
+    challenge.shotsUsed += 1;
+    const fail = (why) => ({
+      message: `${why}.`,
+      rackOver: true,
+      winner: null,
+    });
+
+    if (s.cueScratched) return fail("Scratch");
+    const touched = (goal.avoid || []).find((n) =>
+      s.touched.some((b) => b.number === n)
+    );
+    if (touched !== undefined) return fail(`Touched the ${touched}-ball`);
+    if (goal.firstContact !== undefined) {
+      const first = s.firstContact;
+      if (!first) return fail("No ball hit");
+      if (first.number !== goal.firstContact) {
+        return fail(`Hit the ${ballName(first)} first`);
+      }
+    }
+    if (goal.cushions && s.cueCushions < goal.cushions) {
+      return fail(
+        `The cue ball hit ${s.cueCushions} of ${goal.cushions} cushions`
+      );
+    }
+    const targets = balls.filter(
+      (b) => !b.isCue && (goal.pot || []).includes(b.number)
+    );
+    if (goal.pocket) {
+      const wrong = s.pocketed.find(
+        (b) =>
+          targets.includes(b) &&
+          pocketKey(pockets[s.pocketOf.get(b)]) !== goal.pocket
+      );
+      if (wrong)
+        return fail(`The ${ballName(wrong)} missed the ${goal.pocket} pocket`);
+    }
+
+    const potted = targets.every((b) => b.pocketed);
+    const zone = goal.zone && levelZone(goal.zone);
+    const inZone =
+      !zone ||
+      (cueBall.x >= zone.x &&
+        cueBall.x <= zone.x + zone.w &&
+        cueBall.y >= zone.y &&
+        cueBall.y <= zone.y + zone.h);
+    if (potted && inZone) {
+      const extra = challenge.shotsUsed - (level.par || 1);
+      const stars = Math.max(1, Math.min(3, 3 - extra));
+      saveLevelStars(level, stars);
+      return {
+        message: `Level complete in ${challenge.shotsUsed} shot${
+          challenge.shotsUsed === 1 ? "" : "s"
+        }: ${"★".repeat(stars)}${"☆".repeat(3 - stars)}.`,
+        rackOver: true,
+        winner: s.shooter,
+      };
+    }
+    // Without targets potted on this shot the cue ball can still get there.
+    const pottedNow = s.pocketed.some((b) => targets.includes(b));
+    if (potted && (pottedNow || shotsLeft() <= 0)) {
+      return fail("The cue ball missed the zone");
+    }
+    if (shotsLeft() <= 0) return fail("Out of shots");
+    const left = shotsLeft();
+    return {
+      message: `${left} shot${left === 1 ? "" : "s"} left.`,
+      legalPot: true,
+    };
+  }
+
+  function describeChallengePlayer() {
+    if (!challenge.pack) return "no level pack";
+    return `${totalStars()} of ${challenge.pack.levels.length * 3} stars`;
+  }
+
+  function describeChallengeLevel() {
+    const level = currentLevel();
+    if (!level) return challenge.loading ? "loading levels…" : "no level";
+    const left = shotsLeft();
+    return `${level.name} · ${left} shot${left === 1 ? "" : "s"} left`;
+  }
+
+  function challengeIntro() {
+    const level = currentLevel();
+    if (level) return describeGoal(level);
+    return challenge.loading
+      ? "Loading challenge levels…"
+      : "Load a level pack to play challenges";
+  }
+
+  function challengeTargets() {
+    const level = currentLevel();
+    const pot = (level && level.goal.pot) || [];
+    const onTable = ballsOnTable();
+    const wanted = onTable.filter((b) => pot.includes(b.number));
+    return wanted.length ? wanted : onTable;
+  }
+
+  function challengePotValue(b, shooter, foul) {
+    const level = currentLevel();
+    if (foul || !level) return 0;
+    if ((level.goal.avoid || []).includes(b.number)) return -100;
+    return (level.goal.pot || []).includes(b.number) ? 100 : 0;
+  }
+
+  // Throws with a short reason when the data is not a pack we can play.
+  function parseLevelPack(data) {
+    const poolTables = Object.keys(TABLE_PROFILES).filter(
+      (key) => TABLE_PROFILES[key].discipline === "pool"
+    );
+    return PoolFormats.parseLevelPack(data, poolTables);
+  }
+
+  function setLevelPack(pack) {
+    challenge.pack = pack;
+    challenge.index = 0;
+    renderLevelOptions();
+    if (gameState.mode === "challenge") startLevel(0);
+  }
+
+  function loadDefaultLevelPack() {
+    if (challenge.pack || challenge.loading) return;
+    challenge.loading = true;
+    fetch(LEVEL_PACK_URL)
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .then((data) => {
+        challenge.loading = false;
+        setLevelPack(parseLevelPack(data));
+      })
+      .catch((e) => {
+        challenge.loading = false;
+        renderScoreboard();
+        setStatus(
+          `Could not load the level pack (${e.message}). Serve the game over HTTP or load a pack file.`,
+          true
+        );
+      });
+  }
+
+  function importLevelPack(file) {
+    file
+      .text()
+      .then((text) => {
+        let data;
+        try {
+          data = JSON.parse(text);
+        } catch (e) {
+          throw new Error("not a JSON file");
+        }
+        const pack = parseLevelPack(data);
+        setLevelPack(pack);
+        setStatus(`Level pack "${pack.name}" loaded`, true);
+      })
+      .catch((e) => setStatus(`Could not load levels: ${e.message}`, true));
+  }
+
+  function startLevel(index) {
+    if (!challenge.pack || !challenge.pack.levels[index]) return;
+    if (!allBallsStopped() || isOpponentTurn()) {
+      syncChallengeControls();
+      setStatus("Change level between shots", true);
+      return;
+    }
+    challenge.index = index;
+    applyTableProfile(modeTable());
+    setupBalls();
+    syncChallengeControls();
+  }
+
+  function nextLevel() {
+    if (!challenge.pack) return;
+    startLevel((challenge.index + 1) % challenge.pack.levels.length);
+  }
+
+  function readChallengeProgress() {
+    try {
+      const data = JSON.parse(localStorage.getItem(CHALLENGE_PROGRESS_KEY));
+      if (
+        data &&
+        data.version === CHALLENGE_PROGRESS_VERSION &&
+        data.packs &&
+        typeof data.packs === "object"
+      ) {
+        // Keep only whole star counts, so a hand-edited entry can't break
+        // the level list.
+        for (const [id, levels] of Object.entries(data.packs)) {
+          if (!levels || typeof levels !== "object") continue;
+          challenge.progress[id] = {};
+          for (const [level, stars] of Object.entries(levels)) {
+            if (Number.isInteger(stars) && stars > 0) {
+              challenge.progress[id][level] = Math.min(3, stars);
             }
           }
         }
+      }
+    } catch (e) {
+      // ignore storage errors
+    }
+  }
+
+  function levelStars(level) {
+    const pack = challenge.progress[challenge.pack.id] || {};
+    return Math.max(0, Math.min(3, pack[level.id] || 0));
+  }
+
+  function totalStars() {
+    return challenge.pack.levels.reduce((n, l) => n + levelStars(l), 0);
+  }
+
+  function saveLevelStars(level, stars) {
+    if (stars <= levelStars(level)) return;
+    const id = challenge.pack.id;
+    challenge.progress[id] = { ...challenge.progress[id], [level.id]: stars };
+    try {
+      localStorage.setItem(
+        CHALLENGE_PROGRESS_KEY,
+        JSON.stringify({
+          version: CHALLENGE_PROGRESS_VERSION,
+          packs: challenge.progress,
+        })
+      );
+    } catch (e) {
+      // ignore storage errors
+    }
+    renderLevelOptions();
+  }
+
+  function renderLevelOptions() {
+    if (!selectLevel) return;
+    selectLevel.textContent = "";
+    const levels = challenge.pack ? challenge.pack.levels : [];
+    levels.forEach((level, i) => {
+      const stars = levelStars(level);
+      const option = document.createElement("option");
+      option.value = String(i);
+      option.textContent = `${i + 1}. ${level.name} ${"★".repeat(
+        stars
+      )}${"☆".repeat(3 - stars)}`;
+      selectLevel.appendChild(option);
+    });
+    syncChallengeControls();
+  }
+
+  function syncChallengeControls() {
+    const on = gameState.mode === "challenge";
+    if (challengeRowEl) challengeRowEl.hidden = !on;
+    if (selectLevel) selectLevel.value = String(challenge.index);
+    if (btnNextLevel) btnNextLevel.disabled = !challenge.pack;
+    if (challengeBriefEl) {
+      const level = currentLevel();
+      challengeBriefEl.textContent = level ? describeGoal(level) : "";
+    }
+  }
+
+  function drawChallengeGoal() {
+    const level = currentLevel();
+    if (!level) return;
+    ctx.save();
+    ctx.strokeStyle = theme().ui.goal;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 4]);
+    if (level.goal.zone) {
+      const z = levelZone(level.goal.zone);
+      ctx.fillStyle = "rgba(253, 230, 138, 0.12)";
+      ctx.fillRect(z.x, z.y, z.w, z.h);
+      ctx.strokeRect(z.x, z.y, z.w, z.h);
+    }
+    const target = pockets.find((p) => pocketKey(p) === level.goal.pocket);
+    if (target) {
+      ctx.beginPath();
+      ctx.arc(target.x, target.y, target.r + 6, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  // === BALL IN HAND ===
+  // After a scratch the incoming player places the cue ball anywhere that
+  // doesn't overlap a ball, or only behind the head string (or inside the
+  // D in snooker) when the mode asks for it, then confirms with Enter or the
+  // Place button.
+  const BALL_IN_HAND_STEP = 4;
+
+  const ballInHand = {
+    active: false,
+    headString: false,
+    inD: false,
+    drag: null, // { from } while the pointer moves the cue ball
+  };
+
+  function headStringX() {
+    return TABLE.width * 0.25;
+  }
+
+  function isLegalCueSpot(x, y) {
+    if (ballInHand.headString && x > headStringX()) return false;
+    if (ballInHand.inD && !isInD(x, y)) return false;
+    return isLegalSpot(x, y, cueBall);
+  }
+
+  // Nearest legal spot to (x, y), searched in growing rings.
+  function findCueSpot(x, y) {
+    if (isLegalCueSpot(x, y)) return { x, y };
+    for (let r = BALL_IN_HAND_STEP; r < TABLE.width; r += BALL_IN_HAND_STEP) {
+      for (let i = 0; i < 24; i++) {
+        const a = (i / 24) * Math.PI * 2;
+        const sx = x + Math.cos(a) * r;
+        const sy = y + Math.sin(a) * r;
+        if (isLegalCueSpot(sx, sy)) return { x: sx, y: sy };
+      }
+    }
+    return { x, y };
+  }
+
+  function syncHeadStringControl() {
+    if (!inputHeadString) return;
+    inputHeadString.checked = getMode().headString;
+    inputHeadString.disabled = getMode().handZone === "d";
+  }
+
+  // Returns the status text for endShot() to append.
+  function beginBallInHand() {
+    const mode = getMode();
+    ballInHand.active = true;
+    ballInHand.inD = mode.handZone === "d";
+    ballInHand.headString = !ballInHand.inD && mode.headString;
+    ballInHand.drag = null;
+    cueBall.pocketed = false;
+    cueBall.vx = 0;
+    cueBall.vy = 0;
+    const start = ballInHand.inD
+      ? { x: baulkX() - dRadius() / 2, y: TABLE.height / 2 }
+      : { x: headStringX(), y: TABLE.height / 2 };
+    const spot = findCueSpot(start.x, start.y);
+    cueBall.x = spot.x;
+    cueBall.y = spot.y;
+    updateRackButtons();
+    if (isOpponentTurn()) return "Ball in hand.";
+    if (ballInHand.inD) {
+      return "Ball in hand in the D: drag the cue ball or use the arrow keys, then press Enter.";
+    }
+    return ballInHand.headString
+      ? "Ball in hand behind the head string: drag the cue ball or use the arrow keys, then press Enter."
+      : "Ball in hand: drag the cue ball or use the arrow keys, then press Enter.";
+  }
+
+  function confirmBallInHand() {
+    if (!ballInHand.active || !isLegalCueSpot(cueBall.x, cueBall.y)) return;
+    ballInHand.active = false;
+    ballInHand.drag = null;
+    updateRackButtons();
+    if (!isOpponentTurn()) setStatus("Cue ball placed. Ready.", true);
+  }
+
+  function onBallInHandPointerDown(e) {
+    ballInHand.drag = { from: { x: cueBall.x, y: cueBall.y } };
+    onBallInHandPointerMove(e);
+  }
+
+  function onBallInHandPointerMove(e) {
+    const pos = clampToPlayArea(getCanvasPos(e));
+    cueBall.x = pos.x;
+    cueBall.y = pos.y;
+    e.preventDefault();
+  }
+
+  function onBallInHandPointerUp(e) {
+    const { from } = ballInHand.drag;
+    ballInHand.drag = null;
+    if (isLegalCueSpot(cueBall.x, cueBall.y)) {
+      setStatus("Press Enter or Place cue ball to confirm", false);
+    } else {
+      cueBall.x = from.x;
+      cueBall.y = from.y;
+      let reason = "That spot overlaps another ball";
+      if (ballInHand.inD) {
+        reason = "The cue ball must go inside the D, clear of other balls";
+      } else if (ballInHand.headString) {
+        reason =
+          "The cue ball must go behind the head string, clear of other balls";
+      }
+      setStatus(reason, true);
+    }
+    e.preventDefault();
+  }
+
+  // Returns true when the key was used for placement.
+  function onBallInHandKeyDown(e) {
+    const moves = {
+      ArrowLeft: [-1, 0],
+      ArrowRight: [1, 0],
+      ArrowUp: [0, -1],
+      ArrowDown: [0, 1],
+    };
+    if (moves[e.key]) {
+      const step = BALL_IN_HAND_STEP * (e.shiftKey ? 4 : 1);
+      const pos = clampToPlayArea({
+        x: cueBall.x + moves[e.key][0] * step,
+        y: cueBall.y + moves[e.key][1] * step,
+      });
+      if (isLegalCueSpot(pos.x, pos.y)) {
+        cueBall.x = pos.x;
+        cueBall.y = pos.y;
+      } else {
+        setStatus("Blocked – that spot isn't legal", false);
+      }
+    } else if (e.key === "Enter" || e.code === "Space") {
+      confirmBallInHand();
+    } else {
+      return false;
+    }
+    e.preventDefault();
+    return true;
+  }
+
+  // The computer lines up a straight-in pot: cue ball a little behind the
+  // ghost ball of the target closest to a pocket, with a clear path to it.
+  function placeComputerCueBall(targets) {
+    const home = { x: cueBall.x, y: cueBall.y };
+    const cueIndex = balls.indexOf(cueBall);
+    let best = null;
+    for (const t of targets) {
+      for (const p of pockets) {
+        const toPocket = len(p.x - t.x, p.y - t.y);
+        if (best && toPocket >= best.dist) continue;
+        const dir = norm(p.x - t.x, p.y - t.y);
+        const x = t.x - dir.x * (t.r * 2 + 90);
+        const y = t.y - dir.y * (t.r * 2 + 90);
+        if (!isLegalCueSpot(x, y)) continue;
+        cueBall.x = x;
+        cueBall.y = y;
+        const path = PoolPhysics.predictPath(physicsState, cueIndex, dir);
+        if (path.contact && balls[path.contact.ball] === t) {
+          best = { x, y, dist: toPocket };
+        }
+      }
+    }
+    cueBall.x = best ? best.x : home.x;
+    cueBall.y = best ? best.y : home.y;
+    confirmBallInHand();
+  }
+
+  // === PHYSICS ===
+  // The simulation itself lives in physics.js; this side feeds it the live
+  // balls one fixed tick at a time and turns its events into rule records.
+  const physicsState = { table: TABLE, pockets, balls };
+
+  function handlePhysicsEvent(ev) {
+    if (ev.type === "contact") {
+      recordContact(balls[ev.a], balls[ev.b]);
+      playBallClick(ev.impulse);
+      emit("ballCollision", {
+        a: apiBall(balls[ev.a]),
+        b: apiBall(balls[ev.b]),
+        impulse: ev.impulse,
+      });
+    } else if (ev.type === "rail") {
+      recordRail(balls[ev.ball]);
+      playRailThud(ev.impulse);
+      emit("railHit", {
+        ball: apiBall(balls[ev.ball]),
+        side: ev.side,
+        impulse: ev.impulse,
+      });
+    } else if (ev.type === "pocket") {
+      onBallPocketed(balls[ev.ball], ev.pocket);
+      playPocketDrop();
+    }
+  }
+
+  // A pocketed cue ball stays down until endShot() hands it to the next
+  // shooter as ball in hand.
+  function onBallPocketed(b, pocket) {
+    recordPocket(b, pocket);
+    if (b.isCue) setStatus("Scratch!", true);
+    emit(b.isCue ? "cueScratch" : "ballPocketed", {
+      ball: apiBall(b),
+      pocket: pocketKey(pockets[pocket]),
+    });
+  }
+
+  // One fixed physics tick.
+  function update() {
+    const events = PoolPhysics.step(physicsState);
+    events.forEach(handlePhysicsEvent);
+    recordFrame(events);
+    const anyMoving = PoolPhysics.isMoving(physicsState);
+
+    if (!anyMoving) {
+      if (shotInProgress || gameState.shotInProgress) {
+        finishRecording();
+        endShot();
+      }
+      shotInProgress = false;
+      gameState.shotInProgress = false;
+    }
+
+    gameState.ballsMoving = anyMoving;
+  }
+
+  // === SHOT RECORDING & REPLAY ===
+  // A recorded shot holds the balls as they stood, the cue strike and one
+  // frame of positions per physics tick. Replays play those frames on their
+  // own ball list, so the live table is never touched and old files still
+  // play back after the physics is retuned. Files are read by formats.js.
+  const MAX_RECORDED_SHOTS = 20;
+
+  const shotLog = [];
+  let recording = null;
+  const replay = { shot: null, balls: [], frame: 0, playing: false };
+
+  const round2 = (v) => Math.round(v * 100) / 100;
+
+  // Positions per ball, null once pocketed.
+  function snapshotFrame() {
+    return balls.map((b) => (b.pocketed ? null : [round2(b.x), round2(b.y)]));
+  }
+
+  function startRecording(dir, power, tip) {
+    recording = {
+      mode: gameState.mode,
+      table: {
+        profile: gameState.tableProfile,
+        width: TABLE.width,
+        height: TABLE.height,
+        ballRadius: TABLE.ballRadius,
+      },
+      tickMs: PoolPhysics.TICK_MS,
+      strike: {
+        dir: { x: dir.x, y: dir.y },
+        speed: power * MAX_SHOT_SPEED,
+        tip: { x: tip.x, y: tip.y },
+      },
+      balls: balls.map((b) => ({
+        color: b.color,
+        number: b.number,
+        isCue: b.isCue,
+        label: b.label,
+        name: b.name,
+      })),
+      frames: [snapshotFrame()],
+      events: [],
+    };
+  }
+
+  function recordFrame(events) {
+    if (!recording) return;
+    recording.frames.push(snapshotFrame());
+    const tick = recording.frames.length - 1;
+    for (const ev of events) recording.events.push({ ...ev, tick });
+  }
+
+  function finishRecording() {
+    if (!recording) return;
+    shotLog.push(recording);
+    if (shotLog.length > MAX_RECORDED_SHOTS) shotLog.shift();
+    recording = null;
+    updateReplayButtons();
+  }
+
+  function updateReplayButtons() {
+    const has = shotLog.length > 0 || !!replay.shot;
+    if (btnReplay) btnReplay.disabled = shotLog.length === 0;
+    if (btnReplayExport) btnReplayExport.disabled = !has;
+  }
+
+  function openLastReplay() {
+    if (!shotLog.length) return;
+    if (!allBallsStopped() || isAiming || isOpponentTurn()) {
+      setStatus("Replay is available between shots", true);
+      return;
+    }
+    openReplay(shotLog[shotLog.length - 1]);
+  }
+
+  function openReplay(shot) {
+    if (
+      shot.table.width !== TABLE.width ||
+      shot.table.height !== TABLE.height
+    ) {
+      const profile = TABLE_PROFILES[shot.table.profile];
+      setStatus(
+        `That replay was played on another table${
+          profile ? ` (${profile.label})` : ""
+        }`,
+        true
+      );
+      return;
+    }
+    replay.shot = shot;
+    replay.balls = shot.balls.map((b) => {
+      const ball = createBall(0, 0, b.color, b.isCue, b.number);
+      ball.r = shot.table.ballRadius;
+      ball.name = b.name;
+      // Older replays don't say which balls were numbered.
+      const numbered =
+        b.label === undefined
+          ? !b.isCue && shot.mode !== "snooker"
+          : b.label !== "";
+      return numbered ? markPoolBall(ball) : ball;
+    });
+    replay.playing = true;
+    if (replayScrubEl) replayScrubEl.max = String(shot.frames.length - 1);
+    if (replayBarEl) replayBarEl.hidden = false;
+    seekReplay(0);
+    updateReplayButtons();
+    setStatus("Replaying shot", true);
+  }
+
+  function closeReplay() {
+    if (!replay.shot) return;
+    replay.shot = null;
+    replay.balls = [];
+    replay.playing = false;
+    if (replayBarEl) replayBarEl.hidden = true;
+    updateReplayButtons();
+    setStatus("Replay closed", false);
+  }
+
+  function seekReplay(frame) {
+    const shot = replay.shot;
+    if (!shot) return;
+    replay.frame = Math.max(0, Math.min(shot.frames.length - 1, frame));
+    shot.frames[replay.frame].forEach((pos, i) => {
+      const b = replay.balls[i];
+      b.pocketed = !pos;
+      if (pos) {
+        b.x = pos[0];
+        b.y = pos[1];
+      }
+    });
+    if (replayScrubEl) replayScrubEl.value = String(replay.frame);
+    if (replayTimeEl) {
+      const seconds = (replay.frame * shot.tickMs) / 1000;
+      replayTimeEl.textContent = `${seconds.toFixed(1)} s`;
+    }
+    syncReplayPlayButton();
+  }
+
+  function syncReplayPlayButton() {
+    if (!btnReplayPlay) return;
+    btnReplayPlay.textContent = replay.playing ? "Pause" : "Play";
+    btnReplayPlay.setAttribute("aria-pressed", String(replay.playing));
+  }
+
+  function toggleReplayPlaying() {
+    if (!replay.shot) return;
+    const atEnd = replay.frame >= replay.shot.frames.length - 1;
+    replay.playing = !replay.playing;
+    if (replay.playing && atEnd) seekReplay(0);
+    syncReplayPlayButton();
+  }
+
+  // One frame of playback per physics tick, so replays run at live speed.
+  function advanceReplay() {
+    if (!replay.shot || !replay.playing) return;
+    if (replay.frame >= replay.shot.frames.length - 1) {
+      replay.playing = false;
+      syncReplayPlayButton();
+      return;
+    }
+    seekReplay(replay.frame + 1);
+  }
+
+  function exportReplay() {
+    const shot = replay.shot || shotLog[shotLog.length - 1];
+    if (!shot) return;
+    const data = {
+      format: PoolFormats.REPLAY_FORMAT,
+      version: PoolFormats.REPLAY_VERSION,
+      ...shot,
+    };
+    downloadJson(data, `pool-replay-${Date.now()}.json`);
+    setStatus("Replay exported", true);
+  }
+
+  // Throws with a short reason when the file is not a replay we can play.
+  function importReplay(file) {
+    if (!allBallsStopped() || isAiming || isOpponentTurn()) {
+      setStatus("Replay is available between shots", true);
+      return;
+    }
+    file
+      .text()
+      .then((text) => openReplay(PoolFormats.parseReplay(text)))
+      .catch((e) => setStatus(`Could not load replay: ${e.message}`, true));
+  }
+
+  // === STATISTICS ===
+  // Lifetime and per-session figures for every local human shooter, keyed by
+  // player name (in a prototype-free object, so a player can be called
+  // "constructor"). A session is one visit to the page. The stored object
+  // carries a schema version: older or unreadable data starts over, data
+  // from a newer version is left alone and not overwritten.
+  const STATS_KEY = "canvas-pool-stats";
+  const STATS_VERSION = 1;
+  const STATS_FORMAT = "canvas-pool-stats";
+  const STATS_SESSIONS = 20; // kept per player
+  const POWER_BUCKETS = 10;
+
+  const stats = {
+    data: { version: STATS_VERSION, players: Object.create(null) },
+    readOnly: false,
+    sessionStart: new Date().toISOString(),
+    runs: [0, 0], // balls potted in the current visit, by player index
+  };
+
+  function emptyStats() {
+    return {
+      shots: 0,
+      pottingShots: 0,
+      pots: 0,
+      scratches: 0,
+      breaks: 0,
+      breakBalls: 0,
+      power: 0, // sum of shot power (0–1)
+      longestRun: 0,
+    };
+  }
+
+  // Totals with every emptyStats() field a count of zero or more, or null.
+  function cleanStatsTotals(t) {
+    if (!t || typeof t !== "object") return null;
+    const clean = emptyStats();
+    for (const key of Object.keys(clean)) {
+      if (!Number.isFinite(t[key]) || t[key] < 0) return null;
+      clean[key] = t[key];
+    }
+    return clean;
+  }
+
+  // A stored player entry with anything malformed dropped, or null when
+  // nothing usable is left. Entries always hold at least one shot.
+  function cleanStatsEntry(entry) {
+    if (!entry || typeof entry !== "object") return null;
+    const lifetime = cleanStatsTotals(entry.lifetime);
+    const buckets = entry.powerBuckets;
+    if (
+      !lifetime ||
+      lifetime.shots < 1 ||
+      !Array.isArray(buckets) ||
+      buckets.length !== POWER_BUCKETS ||
+      !buckets.every((n) => Number.isInteger(n) && n >= 0)
+    ) {
+      return null;
+    }
+    const sessions = (Array.isArray(entry.sessions) ? entry.sessions : [])
+      .filter((s) => s && typeof s.start === "string")
+      .map((s) => {
+        const totals = cleanStatsTotals(s);
+        return totals && { start: s.start, ...totals };
+      })
+      .filter(Boolean)
+      .slice(-STATS_SESSIONS);
+    return { lifetime, powerBuckets: buckets.slice(), sessions };
+  }
+
+  function loadStats() {
+    try {
+      const data = JSON.parse(localStorage.getItem(STATS_KEY));
+      if (!data || !data.players || typeof data.players !== "object") return;
+      if (data.version > STATS_VERSION) stats.readOnly = true;
+      if (data.version !== STATS_VERSION) return;
+      const players = Object.create(null);
+      for (const [name, entry] of Object.entries(data.players)) {
+        const clean = cleanStatsEntry(entry);
+        if (clean) players[name] = clean;
+      }
+      stats.data = { version: STATS_VERSION, players };
+    } catch (e) {
+      // ignore storage errors
+    }
+  }
+
+  function saveStats() {
+    if (stats.readOnly) return;
+    try {
+      localStorage.setItem(STATS_KEY, JSON.stringify(stats.data));
+    } catch (e) {
+      // ignore storage errors
+    }
+  }
+
+  // The computer and the remote online player are not tracked here.
+  function isLocalHuman(i) {
+    if (match.opponent === "computer" && i === 1) return false;
+    return !isOnline() || i === online.seat;
+  }
+
+  function playerStats(name) {
+    const players = stats.data.players;
+    if (!players[name]) {
+      players[name] = {
+        lifetime: emptyStats(),
+        powerBuckets: new Array(POWER_BUCKETS).fill(0),
+        sessions: [],
+      };
+    }
+    const entry = players[name];
+    let session = entry.sessions[entry.sessions.length - 1];
+    if (!session || session.start !== stats.sessionStart) {
+      session = { start: stats.sessionStart, ...emptyStats() };
+      entry.sessions.push(session);
+      if (entry.sessions.length > STATS_SESSIONS) entry.sessions.shift();
+    }
+    return { entry, session };
+  }
+
+  // Called by endShot() with the judged outcome.
+  function recordShotStats(s, outcome) {
+    if (!isLocalHuman(s.shooter)) return;
+    const potted = s.pocketed.filter((b) => !b.isCue).length;
+    const potting = potted > 0 && !outcome.foul && !s.cueScratched;
+    stats.runs[s.shooter] = potting ? stats.runs[s.shooter] + potted : 0;
+
+    const { entry, session } = playerStats(match.players[s.shooter].name);
+    for (const t of [entry.lifetime, session]) {
+      t.shots += 1;
+      t.pots += potted;
+      if (potting) t.pottingShots += 1;
+      if (s.cueScratched) t.scratches += 1;
+      if (s.isBreak) {
+        t.breaks += 1;
+        t.breakBalls += potted;
+      }
+      t.power += s.power;
+      t.longestRun = Math.max(t.longestRun, stats.runs[s.shooter]);
+    }
+    const bucket = Math.min(POWER_BUCKETS - 1, Math.floor(s.power * 10));
+    entry.powerBuckets[bucket] += 1;
+    saveStats();
+    if (statsPanel && !statsPanel.hidden) renderStats();
+  }
+
+  function resetStatsRuns() {
+    stats.runs = [0, 0];
+  }
+
+  function percent(part, whole) {
+    return whole ? `${Math.round((part / whole) * 100)}%` : "–";
+  }
+
+  function perShot(total, count, digits = 1) {
+    return count ? (total / count).toFixed(digits) : "–";
+  }
+
+  function statsRows(t) {
+    if (!t || !t.shots) return null;
+    return [
+      ["Shots taken", String(t.shots)],
+      ["Pot percentage", percent(t.pottingShots, t.shots)],
+      ["Balls potted", String(t.pots)],
+      ["Scratches", String(t.scratches)],
+      ["Balls per break", perShot(t.breakBalls, t.breaks)],
+      ["Average power", percent(t.power, t.shots)],
+      ["Longest run", String(t.longestRun)],
+    ];
+  }
+
+  function toggleStats() {
+    if (!statsPanel) return;
+    statsPanel.hidden = !statsPanel.hidden;
+    if (btnStats) btnStats.setAttribute("aria-expanded", !statsPanel.hidden);
+    if (!statsPanel.hidden) renderStats();
+  }
+
+  function renderStats() {
+    const names = Object.keys(stats.data.players);
+    if (selectStatsPlayer) {
+      const current = selectStatsPlayer.value || match.players[0].name;
+      selectStatsPlayer.textContent = "";
+      for (const name of names) {
+        const option = document.createElement("option");
+        option.value = name;
+        option.textContent = name;
+        selectStatsPlayer.appendChild(option);
+      }
+      selectStatsPlayer.value = names.includes(current) ? current : names[0];
+    }
+    const entry =
+      stats.data.players[selectStatsPlayer && selectStatsPlayer.value];
+    if (statsEmptyEl) {
+      statsEmptyEl.hidden = !!entry;
+      if (stats.readOnly) {
+        statsEmptyEl.hidden = false;
+        statsEmptyEl.textContent =
+          "These statistics were saved by a newer version and are not updated.";
+      }
+    }
+    if (statsTableEl) statsTableEl.hidden = !entry;
+    if (btnStatsExport) btnStatsExport.disabled = names.length === 0;
+    if (!entry) return;
+
+    const lifetime = statsRows(entry.lifetime);
+    const last = statsRows(entry.sessions[entry.sessions.length - 1]);
+    const body = statsTableEl.querySelector("tbody");
+    body.textContent = "";
+    lifetime.forEach(([label, value], i) => {
+      const tr = document.createElement("tr");
+      for (const text of [label, value, last ? last[i][1] : "–"]) {
+        const td = document.createElement("td");
+        td.textContent = text;
+        tr.appendChild(td);
+      }
+      body.appendChild(tr);
+    });
+    drawBarChart(
+      statsSessionsChart,
+      entry.sessions.map((t) => (t.shots ? t.pottingShots / t.shots : 0)),
+      "Pot % by session"
+    );
+    const most = Math.max(1, ...entry.powerBuckets);
+    drawBarChart(
+      statsPowerChart,
+      entry.powerBuckets.map((n) => n / most),
+      "Shots by power"
+    );
+  }
+
+  // values are 0–1, one bar each.
+  function drawBarChart(chart, values, title) {
+    if (!chart) return;
+    const c = chart.getContext("2d");
+    const w = chart.width;
+    const h = chart.height;
+    const top = 18;
+    c.clearRect(0, 0, w, h);
+    c.font = "12px system-ui, sans-serif";
+    const ui = theme().ui;
+    c.fillStyle = ui.chartText;
+    c.fillText(title, 4, 12);
+    c.strokeStyle = ui.chartAxis;
+    c.beginPath();
+    c.moveTo(0, h - 0.5);
+    c.lineTo(w, h - 0.5);
+    c.stroke();
+    if (!values.length) return;
+    const slot = w / values.length;
+    c.fillStyle = ui.chartBar;
+    values.forEach((v, i) => {
+      const barH = Math.max(1, v * (h - top - 2));
+      c.fillRect(i * slot + 2, h - 1 - barH, slot - 4, barH);
+    });
+  }
+
+  function exportStats() {
+    downloadJson(
+      {
+        format: STATS_FORMAT,
+        version: STATS_VERSION,
+        exported: new Date().toISOString(),
+        players: stats.data.players,
+      },
+      `pool-stats-${Date.now()}.json`
+    );
+    setStatus("Statistics exported", true);
+  }
+
+  // === SOUND ===
+  // Every sound is synthesized with Web Audio: short filtered noise bursts
+  // and pitched blips, no asset files. Browsers only start audio from a user
+  // gesture, so the context is created when sound is switched on or, with
+  // sound saved as on, on the first press, key or shot. With reduced motion
+  // on, effects are softer and rapid click bursts thinned out.
+  const SOUND_PREFS_KEY = "canvas-pool-sound";
+
+  const sound = {
+    ctx: null,
+    master: null,
+    noise: null,
+    volume: 0.6,
+    lastClickAt: 0,
+  };
 
-        // Capture when ball is fully over the hole and past the rail/mouth region.
-        if (dist + b.r <= p.rCapture) {
-          let inside = false;
-
-          // Corner pockets: center beyond both adjacent inner rail lines.
-          const leftRailX = TABLE.rail;
-          const rightRailX = TABLE.width - TABLE.rail;
-          const topRailY = TABLE.rail;
-          const bottomRailY = TABLE.height - TABLE.rail;
-
-          const isTop = p.y < h / 2;
-          const isLeft = p.x < w / 2;
-
-          if (isTop && isLeft) {
-            // top-left
-            if (b.x <= leftRailX && b.y <= topRailY) inside = true;
-          } else if (isTop && !isLeft) {
-            // top-right
-            if (b.x >= rightRailX && b.y <= topRailY) inside = true;
-          } else if (!isTop && isLeft) {
-            // bottom-left
-            if (b.x <= leftRailX && b.y >= bottomRailY) inside = true;
-          } else if (!isTop && !isLeft) {
-            // bottom-right
-            if (b.x >= rightRailX && b.y >= bottomRailY) inside = true;
-          }
+  function loadSoundPrefs() {
+    try {
+      const prefs = JSON.parse(localStorage.getItem(SOUND_PREFS_KEY) || "{}");
+      if (typeof prefs.on === "boolean") gameState.soundOn = prefs.on;
+      if (prefs.volume >= 0 && prefs.volume <= 1) sound.volume = prefs.volume;
+    } catch (e) {
+      // ignore storage errors
+    }
+  }
 
-          // Side pockets: use inward normal from mouth.
-          if (!inside) {
-            const vx = b.x - mouthMidX;
-            const vy = b.y - mouthMidY;
-            const dotInside = vx * nx + vy * ny;
-            if (dotInside > 0) inside = true;
-          }
+  function saveSoundPrefs() {
+    try {
+      localStorage.setItem(
+        SOUND_PREFS_KEY,
+        JSON.stringify({ on: gameState.soundOn, volume: sound.volume })
+      );
+    } catch (e) {
+      // ignore storage errors
+    }
+  }
 
-          if (inside) {
-            b.pocketed = true;
-            b.vx = 0;
-            b.vy = 0;
-
-            if (b.isCue) {
-              setStatus("Cue ball pocketed – repositioning", true);
-              setTimeout(() => {
-                b.pocketed = false;
-                b.x = TABLE.width * 0.25;
-                b.y = TABLE.height / 2;
-                b.vx = 0;
-                b.vy = 0;
-                setStatus("Cue ball respotted. Ready.", true);
-              }, 400);
-            }
-            break;
-          }
-        }
-      }
+  function setVolume(volume) {
+    sound.volume = Math.max(0, Math.min(1, volume));
+    if (sound.master) sound.master.gain.value = sound.volume;
+    saveSoundPrefs();
+  }
 
-      if (!b.isCue && !b.pocketed) allNonCuePocketed = false;
+  function ensureAudio() {
+    if (!sound.ctx) {
+      const AudioCtx = window.AudioContext || window.webkitAudioContext;
+      if (!AudioCtx) return null;
+      sound.ctx = new AudioCtx();
+      sound.master = sound.ctx.createGain();
+      sound.master.gain.value = sound.volume;
+      sound.master.connect(sound.ctx.destination);
+
+      // One second of white noise, reused by every burst.
+      const length = sound.ctx.sampleRate;
+      sound.noise = sound.ctx.createBuffer(1, length, sound.ctx.sampleRate);
+      const data = sound.noise.getChannelData(0);
+      for (let i = 0; i < length; i++) data[i] = Math.random() * 2 - 1;
     }
+    if (sound.ctx.state === "suspended") sound.ctx.resume();
+    return sound.ctx;
+  }
 
-    if (allNonCuePocketed) {
-      setStatus("Rack cleared! Press Reset Table for a new rack.", true);
+  function unlockAudio() {
+    if (!gameState.soundOn || sound.ctx) return;
+    ensureAudio();
+    if (sound.ctx) {
+      window.removeEventListener("pointerdown", unlockAudio, true);
+      window.removeEventListener("keydown", unlockAudio, true);
     }
+  }
 
-    // Friction & stop
-    let anyMoving = false;
-    const f = Math.pow(TABLE.friction, dtFactor);
-    for (const b of balls) {
-      if (b.pocketed) continue;
-      b.vx *= f;
-      b.vy *= f;
-      if (Math.abs(b.vx) < TABLE.stopEpsilon) b.vx = 0;
-      if (Math.abs(b.vy) < TABLE.stopEpsilon) b.vy = 0;
-      if (b.vx !== 0 || b.vy !== 0) anyMoving = true;
+  function attachAudioUnlock() {
+    window.addEventListener("pointerdown", unlockAudio, true);
+    window.addEventListener("keydown", unlockAudio, true);
+  }
+
+  // Context for a new effect, or null while muted.
+  function audioFor() {
+    if (!gameState.soundOn || sound.volume <= 0 || !sound.ctx) return null;
+    return sound.ctx;
+  }
+
+  function effectGain(level) {
+    return Math.min(1, level) * (gameState.reducedMotion ? 0.5 : 1);
+  }
+
+  function envelope(ac, peak, at, duration) {
+    const gain = ac.createGain();
+    gain.gain.setValueAtTime(peak, at);
+    gain.gain.exponentialRampToValueAtTime(0.001, at + duration);
+    gain.connect(sound.master);
+    return gain;
+  }
+
+  function playNoise(ac, { at, duration, type, freq, q = 1, peak }) {
+    const src = ac.createBufferSource();
+    src.buffer = sound.noise;
+    const filter = ac.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.value = freq;
+    filter.Q.value = q;
+    src.connect(filter);
+    filter.connect(envelope(ac, peak, at, duration));
+    src.start(at);
+    src.stop(at + duration);
+  }
+
+  function playBlip(ac, { at, duration, freq, endFreq = freq, peak, wave }) {
+    const osc = ac.createOscillator();
+    osc.type = wave || "sine";
+    osc.frequency.setValueAtTime(freq, at);
+    osc.frequency.exponentialRampToValueAtTime(endFreq, at + duration);
+    osc.connect(envelope(ac, peak, at, duration));
+    osc.start(at);
+    osc.stop(at + duration);
+  }
+
+  // power 0..1
+  function playCueStrike(power) {
+    const ac = audioFor();
+    if (!ac) return;
+    const level = effectGain(0.25 + power * 0.75);
+    const at = ac.currentTime;
+    playNoise(ac, {
+      at,
+      duration: 0.04,
+      type: "bandpass",
+      freq: 1800 + power * 1400,
+      q: 1.2,
+      peak: level * 0.8,
+    });
+    playBlip(ac, {
+      at,
+      duration: 0.06,
+      freq: 220,
+      endFreq: 120,
+      peak: level * 0.5,
+    });
+  }
+
+  // impulse is the closing speed from the collision loop, px per tick.
+  function playBallClick(impulse) {
+    const ac = audioFor();
+    if (!ac || impulse < 0.15) return;
+    const gapMs = gameState.reducedMotion ? 60 : 15;
+    const now = ac.currentTime;
+    if ((now - sound.lastClickAt) * 1000 < gapMs) return;
+    sound.lastClickAt = now;
+    const level = effectGain(impulse / 8);
+    playBlip(ac, {
+      at: now,
+      duration: 0.03,
+      freq: 3200,
+      endFreq: 2400,
+      peak: level * 0.6,
+      wave: "triangle",
+    });
+    playNoise(ac, {
+      at: now,
+      duration: 0.015,
+      type: "highpass",
+      freq: 4000,
+      peak: level * 0.4,
+    });
+  }
+
+  function playRailThud(impulse) {
+    const ac = audioFor();
+    if (!ac || impulse < 0.2) return;
+    const level = effectGain(impulse / 10);
+    const at = ac.currentTime;
+    playNoise(ac, {
+      at,
+      duration: 0.09,
+      type: "lowpass",
+      freq: 320,
+      peak: level * 0.9,
+    });
+    playBlip(ac, {
+      at,
+      duration: 0.1,
+      freq: 95,
+      endFreq: 60,
+      peak: level * 0.5,
+    });
+  }
+
+  // A knock on the pocket liner, then a softer one as the ball settles.
+  function playPocketDrop() {
+    const ac = audioFor();
+    if (!ac) return;
+    const level = effectGain(0.7);
+    const at = ac.currentTime;
+    const knocks = gameState.reducedMotion ? [0] : [0, 0.09, 0.16];
+    knocks.forEach((delay, i) => {
+      playBlip(ac, {
+        at: at + delay,
+        duration: 0.12,
+        freq: 260 - i * 40,
+        endFreq: 110,
+        peak: (level * 0.6) / (i + 1),
+        wave: "triangle",
+      });
+      playNoise(ac, {
+        at: at + delay,
+        duration: 0.05,
+        type: "bandpass",
+        freq: 700,
+        peak: (level * 0.3) / (i + 1),
+      });
+    });
+  }
+
+  // === THEMES ===
+  // A theme colours the table, picks a ball set and sets the canvas and chart
+  // colours; its css entries override the stylesheet's custom properties
+  // (none for classic, which is the stylesheet's own look).
+  const THEME_PREF_KEY = "canvas-pool-theme";
+
+  // Pool colours by number (9–15 reuse 1–7 on a stripe), snooker by name.
+  const BALL_SETS = {
+    standard: {
+      pool: BALL_COLORS,
+      snooker: {
+        red: SNOOKER_RED_COLOR,
+        ...Object.fromEntries(SNOOKER_COLOURS.map((c) => [c.name, c.color])),
+      },
+    },
+    // Okabe–Ito palette: stays distinct with the common colour blindnesses.
+    okabeIto: {
+      pool: {
+        0: "#ffffff",
+        1: "#f0e442",
+        2: "#0072b2",
+        3: "#d55e00",
+        4: "#cc79a7",
+        5: "#e69f00",
+        6: "#009e73",
+        7: "#56b4e9",
+        8: "#111111",
+      },
+      snooker: {
+        red: "#d55e00",
+        yellow: "#f0e442",
+        green: "#009e73",
+        brown: "#7a4a1f",
+        blue: "#0072b2",
+        pink: "#cc79a7",
+        black: "#111111",
+      },
+    },
+  };
+
+  const CLASSIC_UI = {
+    aim: "rgba(248, 250, 252, 0.95)",
+    guide: "rgba(248,250,252,0.6)",
+    objectLine: "#f97316",
+    potLine: "#22c55e",
+    power: "#22c55e",
+    computerAim: "#38bdf8",
+    goal: "#fde68a",
+    overlay: "#f8fafc",
+    legal: "#22c55e",
+    illegal: "#ef4444",
+    cueRing: "#fde68a",
+    editor: "#38bdf8",
+    chartBar: "#22c55e",
+    chartText: "#9ca3af",
+    chartAxis: "#374151",
+  };
+
+  const THEMES = {
+    classic: {
+      label: "Classic green",
+      felt: "#065f46",
+      rail: "#5a3b19",
+      throat: "#064e3b",
+      pocket: "#020202",
+      jaw: "#3f2a12",
+      balls: "standard",
+      ui: CLASSIC_UI,
+      css: {},
+    },
+    tournament: {
+      label: "Tournament blue",
+      felt: "#1d4e89",
+      rail: "#262626",
+      throat: "#17406f",
+      pocket: "#020202",
+      jaw: "#111111",
+      balls: "standard",
+      ui: { ...CLASSIC_UI, computerAim: "#fbbf24", chartBar: "#38bdf8" },
+      css: {
+        "--felt": "#1d4e89",
+        "--rail": "#262626",
+        "--frame": "#17406f",
+        "--accent": "#38bdf8",
+        "--outline": "#38bdf8",
+      },
+    },
+    contrast: {
+      label: "High contrast",
+      felt: "#047857",
+      rail: "#92400e",
+      throat: "#065f46",
+      pocket: "#000000",
+      jaw: "#000000",
+      balls: "standard",
+      ballOutline: "#000000",
+      ui: {
+        ...CLASSIC_UI,
+        aim: "#facc15",
+        guide: "#facc15",
+        power: "#facc15",
+        computerAim: "#facc15",
+        goal: "#facc15",
+        overlay: "#facc15",
+        cueRing: "#facc15",
+        chartBar: "#facc15",
+        chartText: "#f9fafb",
+        chartAxis: "#9ca3af",
+      },
+      css: {
+        "--bg-main": "#02030a",
+        "--bg-elevated": "#020817",
+        "--bg-hud": "#020817",
+        "--felt": "#047857",
+        "--rail": "#92400e",
+        "--frame": "#065f46",
+        "--accent": "#facc15",
+        "--accent-alt": "#38bdf8",
+        "--text-main": "#f9fafb",
+        "--text-subtle": "#e5e7eb",
+        "--text-muted": "#9ca3af",
+        "--border-soft": "#4b5563",
+        "--outline": "#facc15",
+      },
+    },
+    colorblind: {
+      label: "Colour-blind safe",
+      felt: "#6b6256",
+      rail: "#2f2a24",
+      throat: "#574f45",
+      pocket: "#020202",
+      jaw: "#1f1b17",
+      balls: "okabeIto",
+      ui: {
+        ...CLASSIC_UI,
+        guide: "rgba(248,250,252,0.7)",
+        objectLine: "#e69f00",
+        potLine: "#56b4e9",
+        power: "#56b4e9",
+        computerAim: "#56b4e9",
+        goal: "#f0e442",
+        legal: "#56b4e9",
+        illegal: "#e69f00",
+        cueRing: "#f0e442",
+        editor: "#56b4e9",
+        chartBar: "#56b4e9",
+      },
+      css: {
+        "--felt": "#6b6256",
+        "--rail": "#2f2a24",
+        "--frame": "#574f45",
+        "--accent": "#56b4e9",
+        "--accent-warn": "#e69f00",
+        "--outline": "#56b4e9",
+      },
+    },
+  };
+
+  function theme() {
+    return THEMES[gameState.theme] || THEMES.classic;
+  }
+
+  function ballColor(b) {
+    const set = BALL_SETS[theme().balls];
+    if (b.isCue) return set.pool[0];
+    if (b.label) return set.pool[b.number > 8 ? b.number - 8 : b.number];
+    if (isRed(b)) return set.snooker.red;
+    return set.snooker[b.name] || b.color;
+  }
+
+  function loadThemePref() {
+    try {
+      const key = localStorage.getItem(THEME_PREF_KEY);
+      if (THEMES[key]) gameState.theme = key;
+    } catch (e) {
+      // ignore storage errors
     }
+  }
 
-    if (!anyMoving) {
-      if (shotInProgress || gameState.shotInProgress) {
-        setStatus("Ready", true);
-      }
-      shotInProgress = false;
-      gameState.shotInProgress = false;
+  function renderThemeOptions() {
+    if (!selectTheme) return;
+    selectTheme.textContent = "";
+    for (const key of Object.keys(THEMES)) {
+      const option = document.createElement("option");
+      option.value = key;
+      option.textContent = THEMES[key].label;
+      selectTheme.appendChild(option);
+    }
+    selectTheme.value = gameState.theme;
+  }
+
+  // Canvas and page change together: the table layer is repainted and
+  // every custom property another theme might have set is reset first.
+  function applyTheme() {
+    const root = document.documentElement;
+    for (const t of Object.values(THEMES)) {
+      for (const name of Object.keys(t.css)) root.style.removeProperty(name);
     }
+    for (const [name, value] of Object.entries(theme().css)) {
+      root.style.setProperty(name, value);
+    }
+    document.body.classList.toggle(
+      "high-contrast",
+      gameState.theme === "contrast"
+    );
+    if (selectTheme) selectTheme.value = gameState.theme;
+    invalidateTableLayer();
+    if (statsPanel && !statsPanel.hidden) renderStats();
+  }
 
-    gameState.ballsMoving = anyMoving;
+  function setTheme(key, announce = false) {
+    if (!THEMES[key]) return;
+    gameState.theme = key;
+    try {
+      localStorage.setItem(THEME_PREF_KEY, key);
+    } catch (e) {
+      // ignore storage errors
+    }
+    applyTheme();
+    if (announce) setStatus(`Theme: ${THEMES[key].label}`, true);
   }
 
   // === RENDERING ===
-  function drawTable() {
+  // The felt, rails, markings and pockets only change with the canvas size
+  // or the table, so they are painted once into an offscreen layer that
+  // drawTable() copies each frame.
+  const tableLayer = { canvas: null, valid: false };
+
+  // Sizes the backing store to the element at the screen's pixel ratio.
+  function resizeCanvas() {
+    const rect = canvas.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    const width = Math.round((rect.width || TABLE.width) * dpr);
+    const height = Math.round((width * TABLE.height) / TABLE.width);
+    if (width === canvas.width && height === canvas.height) return;
+    canvas.width = width;
+    canvas.height = height;
+    renderScale = width / TABLE.width;
+    invalidateTableLayer();
+  }
+
+  function invalidateTableLayer() {
+    tableLayer.valid = false;
+  }
+
+  function renderTableLayer() {
+    if (!tableLayer.canvas)
+      tableLayer.canvas = document.createElement("canvas");
+    const layer = tableLayer.canvas;
+    layer.width = canvas.width;
+    layer.height = canvas.height;
+    const g = layer.getContext("2d");
+    g.setTransform(renderScale, 0, 0, renderScale, 0, 0);
+    const t = theme();
     const w = TABLE.width,
       h = TABLE.height,
       r = TABLE.rail;
 
     // Felt
-    ctx.fillStyle = "#065f46";
-    ctx.fillRect(0, 0, w, h);
+    g.fillStyle = t.felt;
+    g.fillRect(0, 0, w, h);
 
     // Rails/frame (match DOM frame tones)
-    ctx.fillStyle = "#5a3b19";
-
-    // Top and bottom rails with gaps at pocket mouths.
-    const pocketGap = TABLE.pocketRadius * 1.4;
-
-    // Top rail segments
-    ctx.fillRect(0, 0, w, r);
-    // Left vertical rail
-    ctx.fillRect(0, 0, r, h);
-    // Right vertical rail
-    ctx.fillRect(w - r, 0, r, h);
-    // Bottom rail
-    ctx.fillRect(0, h - r, w, r);
-
-    // Carve simple visual gaps at mouths by overdrawing felt strips.
-    ctx.fillStyle = "#065f46";
+    g.fillStyle = t.rail;
+    g.fillRect(0, 0, w, r);
+    g.fillRect(0, 0, r, h);
+    g.fillRect(w - r, 0, r, h);
+    g.fillRect(0, h - r, w, r);
+
+    if (modeTable() === "snooker") drawSnookerMarkings(g);
+
+    // Pocket throats cut through the rails between the jaws, then the hole.
     for (const p of pockets) {
-      const mx = (p.mouthX1 + p.mouthX2) / 2;
-      const my = (p.mouthY1 + p.mouthY2) / 2;
+      const [a, b] = p.jaws;
+      g.beginPath();
+      g.moveTo(a.x1, a.y1);
+      g.lineTo(a.x2, a.y2);
+      g.lineTo(b.x2, b.y2);
+      g.lineTo(b.x1, b.y1);
+      g.closePath();
+      g.fillStyle = t.throat;
+      g.fill();
+
+      g.beginPath();
+      g.arc(p.x, p.y, p.r, 0, Math.PI * 2);
+      g.fillStyle = t.pocket;
+      g.fill();
 
-      if (Math.abs(p.mouthY1 - p.mouthY2) < 0.001) {
-        // Horizontal mouth (top or bottom)
-        const gapHalf = pocketGap / 2;
-        ctx.fillRect(mx - gapHalf, my - r, gapHalf * 2, r + 2);
-      } else if (Math.abs(p.mouthX1 - p.mouthX2) < 0.001) {
-        // Vertical mouth (left or right)
-        const gapHalf = pocketGap / 2;
-        ctx.fillRect(mx - r, my - gapHalf, r + 2, gapHalf * 2);
+      // Jaw rubber
+      g.strokeStyle = t.jaw;
+      g.lineWidth = 2;
+      for (const j of p.jaws) {
+        g.beginPath();
+        g.moveTo(j.x1, j.y1);
+        g.lineTo(j.x2, j.y2);
+        g.stroke();
       }
     }
+    tableLayer.valid = true;
+  }
 
-    // Pockets: draw capture circle so visual hole matches physics.
-    for (const p of pockets) {
-      ctx.beginPath();
-      ctx.arc(p.x, p.y, p.rCapture, 0, Math.PI * 2);
-      ctx.fillStyle = "#020202";
-      ctx.fill();
+  function drawTable() {
+    if (!tableLayer.valid) renderTableLayer();
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.drawImage(tableLayer.canvas, 0, 0);
+    ctx.restore();
+
+    if (gameState.mode === "challenge") drawChallengeGoal();
+  }
+
+  // Turns each ball's markings by the distance it moved since it was last
+  // drawn, rolling about the axis square to its path. Jumps (respots, ball
+  // in hand, a new rack) don't count as rolling.
+  function rollBalls(list) {
+    for (const b of list) {
+      const dx = b.x - b.drawnX;
+      const dy = b.y - b.drawnY;
+      b.drawnX = b.x;
+      b.drawnY = b.y;
+      const d = len(dx, dy);
+      if (gameState.reducedMotion || d < 1e-6 || d > b.r * 6) continue;
+      const axis = { x: dy / d, y: -dx / d, z: 0 };
+      const angle = d / b.r;
+      b.face = rotateAbout(b.face, axis, angle);
+      b.band = rotateAbout(b.band, axis, angle);
+      // Keep the two square to each other as rounding errors build up.
+      const dot = dot3(b.band, b.face);
+      b.band = unit3({
+        x: b.band.x - b.face.x * dot,
+        y: b.band.y - b.face.y * dot,
+        z: b.band.z - b.face.z * dot,
+      });
+    }
+  }
+
+  function dot3(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+  }
+
+  function cross3(a, b) {
+    return {
+      x: a.y * b.z - a.z * b.y,
+      y: a.z * b.x - a.x * b.z,
+      z: a.x * b.y - a.y * b.x,
+    };
+  }
+
+  function unit3(v) {
+    const d = Math.sqrt(dot3(v, v)) || 1;
+    return { x: v.x / d, y: v.y / d, z: v.z / d };
+  }
+
+  // Rodrigues' rotation of v about a unit axis.
+  function rotateAbout(v, axis, angle) {
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+    const k = cross3(axis, v);
+    const along = dot3(axis, v) * (1 - c);
+    return unit3({
+      x: v.x * c + k.x * s + axis.x * along,
+      y: v.y * c + k.y * s + axis.y * along,
+      z: v.z * c + k.z * s + axis.z * along,
+    });
+  }
+
+  // Fills the part of a ball's visible face within `spread` radians of
+  // the direction dir: the cap's rim where it faces the viewer, the ball's
+  // outline where it has turned away.
+  function fillCap(b, dir, spread, color) {
+    const sin = Math.sin(spread);
+    if (dir.z >= sin) return; // wholly on the far side
+    const e1 = unit3(
+      Math.abs(dir.z) > 0.99 ? { x: 1, y: 0, z: 0 } : cross3(dir, FACE_UP)
+    );
+    const e2 = cross3(dir, e1);
+    const cos = Math.cos(spread);
+    ctx.beginPath();
+    for (let i = 0; i < 24; i++) {
+      const t = (i / 24) * Math.PI * 2;
+      const p = {
+        x: dir.x * cos + (e1.x * Math.cos(t) + e2.x * Math.sin(t)) * sin,
+        y: dir.y * cos + (e1.y * Math.cos(t) + e2.y * Math.sin(t)) * sin,
+        z: dir.z * cos + (e1.z * Math.cos(t) + e2.z * Math.sin(t)) * sin,
+      };
+      let k = 1;
+      if (p.z > 0) k = 1 / (len(p.x, p.y) || 1);
+      ctx.lineTo(b.x + p.x * k * b.r, b.y + p.y * k * b.r);
+    }
+    ctx.closePath();
+    ctx.fillStyle = color;
+    ctx.fill();
+  }
+
+  // Number drawn on the disc, squashed as the disc turns away.
+  function drawBallNumber(b, face) {
+    const facing = -face.z;
+    if (facing < 0.25) return;
+    const angle = Math.atan2(face.y, face.x);
+    ctx.save();
+    ctx.translate(b.x + face.x * b.r, b.y + face.y * b.r);
+    ctx.rotate(angle);
+    ctx.scale(facing, 1);
+    ctx.rotate(-angle);
+    ctx.fillStyle = "#111827";
+    const size = b.r * (b.label.length > 1 ? 0.66 : 0.8);
+    ctx.font = `bold ${size.toFixed(1)}px system-ui, sans-serif`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(b.label, 0, b.r * 0.05);
+    ctx.restore();
+  }
+
+  // Light from the top left and a darker rim; one gradient per ball size,
+  // drawn around the origin.
+  const ballShades = new Map();
+
+  function ballShade(r) {
+    if (!ballShades.has(r)) {
+      const g = ctx.createRadialGradient(-r * 0.35, -r * 0.4, r * 0.1, 0, 0, r);
+      g.addColorStop(0, "rgba(255,255,255,0.55)");
+      g.addColorStop(0.35, "rgba(255,255,255,0)");
+      g.addColorStop(0.8, "rgba(0,0,0,0.08)");
+      g.addColorStop(1, "rgba(0,0,0,0.35)");
+      ballShades.set(r, g);
+    }
+    return ballShades.get(r);
+  }
 
-      // Subtle inner shadow ring to hint at depth / jaws
+  function drawBall(b) {
+    const face = gameState.reducedMotion ? FACE_UP : b.face;
+    const band = gameState.reducedMotion ? BAND_ACROSS : b.band;
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(b.x, b.y, b.r, 0, Math.PI * 2);
+    ctx.fillStyle = ballColor(b);
+    ctx.fill();
+    ctx.clip();
+    if (b.stripe) {
+      // White caps leave a coloured band around the middle.
+      fillCap(b, band, 0.85, "#f8fafc");
+      fillCap(b, { x: -band.x, y: -band.y, z: -band.z }, 0.85, "#f8fafc");
+    }
+    if (b.label) {
+      fillCap(b, face, 0.5, "#f8fafc");
+      drawBallNumber(b, face);
+    }
+    ctx.translate(b.x, b.y);
+    ctx.fillStyle = ballShade(b.r);
+    ctx.fillRect(-b.r, -b.r, b.r * 2, b.r * 2);
+    ctx.restore();
+    if (theme().ballOutline) {
       ctx.beginPath();
-      ctx.arc(p.x, p.y, p.rCapture * 0.7, 0, Math.PI * 2);
-      ctx.strokeStyle = "rgba(0,0,0,0.5)";
-      ctx.lineWidth = 2;
+      ctx.arc(b.x, b.y, b.r, 0, Math.PI * 2);
+      ctx.strokeStyle = theme().ballOutline;
+      ctx.lineWidth = 1;
       ctx.stroke();
     }
   }
 
-  function drawBalls() {
-    for (const b of balls) {
+  function drawBalls(list = balls) {
+    rollBalls(list);
+    for (const b of list) {
       if (b.pocketed) continue;
-      ctx.beginPath();
-      ctx.arc(b.x, b.y, b.r, 0, Math.PI * 2);
-      ctx.fillStyle = b.color;
-      ctx.fill();
+      drawBall(b);
       if (b.isCue) {
+        ctx.beginPath();
+        ctx.arc(b.x, b.y, b.r, 0, Math.PI * 2);
         ctx.lineWidth = 1.4;
-        ctx.strokeStyle = gameState.ready ? "#fde68a" : "#d1d5db";
+        ctx.strokeStyle = gameState.ready ? theme().ui.cueRing : "#d1d5db";
         ctx.stroke();
         // subtle halo when ready
         if (gameState.ready && !gameState.reducedMotion) {
@@ -804,24 +5276,24 @@
     const pullX = aimCurrent.x - aimStart.x;
     const pullY = aimCurrent.y - aimStart.y;
     const pullDist = Math.min(len(pullX, pullY), 160);
-    if (pullDist < 4) {
-      setPower(0);
-      return;
-    }
+    if (pullDist < 4) return;
+
+    drawCueGuide(norm(-pullX, -pullY), pullDist / 160);
+  }
 
-    const shotDir = norm(-pullX, -pullY);
+  // Aim line, prediction and in-table power bar; minLine keeps a short line
+  // visible for keyboard aim before any power is set. Drawing only: the
+  // input paths set gameState.currentPower.
+  function drawCueGuide(shotDir, powerRatio, minLine = 0) {
     const maxLen = 110;
-    const lineLen = (pullDist / 160) * maxLen;
+    const lineLen = Math.max(powerRatio, minLine) * maxLen;
     const ex = cueBall.x + shotDir.x * lineLen;
     const ey = cueBall.y + shotDir.y * lineLen;
 
-    const powerRatio = pullDist / 160;
-    setPower(powerRatio);
+    if (gameState.aimAssist !== "off") drawPrediction(shotDir);
 
     ctx.save();
-    ctx.strokeStyle = gameState.highContrast
-      ? "#facc15"
-      : "rgba(248, 250, 252, 0.95)";
+    ctx.strokeStyle = theme().ui.aim;
     ctx.lineWidth = 2;
     ctx.beginPath();
     ctx.moveTo(cueBall.x, cueBall.y);
@@ -835,27 +5307,480 @@
     const by = cueBall.y - cueBall.r - 18;
     ctx.fillStyle = "rgba(15,23,42,0.85)";
     ctx.fillRect(bx, by, bw, bh);
-    ctx.fillStyle = "#22c55e";
+    ctx.fillStyle = theme().ui.power;
     ctx.fillRect(bx, by, bw * powerRatio, bh);
     ctx.restore();
   }
 
+  // Ghost ball, object ball line, cue tangent line and first cushion bounce.
+  // Partial assist keeps only the ghost ball and a short object ball stub.
+  function drawPrediction(dir) {
+    const path = PoolPhysics.predictPath(
+      physicsState,
+      balls.indexOf(cueBall),
+      dir
+    );
+    if (!path.end) return;
+    const full = gameState.aimAssist === "full";
+    const ui = theme().ui;
+    const guide = ui.guide;
+
+    ctx.save();
+    ctx.lineWidth = 1.5;
+    ctx.strokeStyle = guide;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(cueBall.x, cueBall.y);
+    ctx.lineTo(path.end.x, path.end.y);
+    ctx.stroke();
+
+    const c = path.contact;
+    if (c) {
+      ctx.setLineDash([]);
+      ctx.beginPath();
+      ctx.arc(c.ghost.x, c.ghost.y, cueBall.r, 0, Math.PI * 2);
+      ctx.stroke();
+
+      const obj = balls[c.ball];
+      const stub = 40;
+      const objEnd =
+        full && c.objectEnd
+          ? c.objectEnd
+          : {
+              x: obj.x + c.objectDir.x * stub,
+              y: obj.y + c.objectDir.y * stub,
+            };
+      ctx.strokeStyle = c.objectPocket && full ? ui.potLine : ui.objectLine;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(obj.x, obj.y);
+      ctx.lineTo(objEnd.x, objEnd.y);
+      ctx.stroke();
+
+      if (full && c.cueDir) {
+        const tangent = 70;
+        ctx.strokeStyle = guide;
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([2, 4]);
+        ctx.beginPath();
+        ctx.moveTo(c.ghost.x, c.ghost.y);
+        ctx.lineTo(
+          c.ghost.x + c.cueDir.x * tangent,
+          c.ghost.y + c.cueDir.y * tangent
+        );
+        ctx.stroke();
+      }
+    } else if (full && path.rail && path.rail.end) {
+      ctx.beginPath();
+      ctx.moveTo(path.rail.x, path.rail.y);
+      ctx.lineTo(path.rail.end.x, path.rail.end.y);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  // Baulk line, D and colour spots.
+  function drawSnookerMarkings(g) {
+    const cy = TABLE.height / 2;
+    g.save();
+    g.strokeStyle = "rgba(255,255,255,0.35)";
+    g.lineWidth = 1;
+    g.beginPath();
+    g.moveTo(baulkX(), TABLE.rail);
+    g.lineTo(baulkX(), TABLE.height - TABLE.rail);
+    g.moveTo(baulkX(), cy - dRadius());
+    g.arc(baulkX(), cy, dRadius(), Math.PI * 1.5, Math.PI / 2, true);
+    g.stroke();
+    g.fillStyle = "rgba(255,255,255,0.45)";
+    for (const c of SNOOKER_COLOURS) {
+      const spot = snookerSpot(c.name);
+      g.beginPath();
+      g.arc(spot.x, spot.y, 1.5, 0, Math.PI * 2);
+      g.fill();
+    }
+    g.restore();
+  }
+
+  // Head string zone when restricted, and a ring on the cue ball that is
+  // green on a legal spot and red (with a cross) on an illegal one.
+  function drawBallInHand() {
+    if (!ballInHand.active || !cueBall) return;
+    const legal = isLegalCueSpot(cueBall.x, cueBall.y);
+    ctx.save();
+    if (ballInHand.headString) {
+      const x = headStringX();
+      ctx.fillStyle = "rgba(255,255,255,0.06)";
+      ctx.fillRect(
+        TABLE.rail,
+        TABLE.rail,
+        x - TABLE.rail,
+        TABLE.height - TABLE.rail * 2
+      );
+      ctx.strokeStyle = "rgba(255,255,255,0.45)";
+      ctx.setLineDash([6, 6]);
+      ctx.beginPath();
+      ctx.moveTo(x, TABLE.rail);
+      ctx.lineTo(x, TABLE.height - TABLE.rail);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+    if (ballInHand.inD) {
+      ctx.fillStyle = "rgba(255,255,255,0.1)";
+      ctx.beginPath();
+      ctx.arc(
+        baulkX(),
+        TABLE.height / 2,
+        dRadius(),
+        Math.PI / 2,
+        Math.PI * 1.5
+      );
+      ctx.closePath();
+      ctx.fill();
+    }
+    const color = legal ? theme().ui.legal : theme().ui.illegal;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(cueBall.x, cueBall.y, cueBall.r + 5, 0, Math.PI * 2);
+    ctx.stroke();
+    if (!legal) {
+      const d = cueBall.r * 0.6;
+      ctx.beginPath();
+      ctx.moveTo(cueBall.x - d, cueBall.y - d);
+      ctx.lineTo(cueBall.x + d, cueBall.y + d);
+      ctx.moveTo(cueBall.x + d, cueBall.y - d);
+      ctx.lineTo(cueBall.x - d, cueBall.y + d);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  // Ring around the ball being edited; red while it sits on an illegal spot.
+  function drawEditorSelection() {
+    const b = editor.selected;
+    if (!gameState.editing || !b) return;
+    ctx.save();
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = isLegalSpot(b.x, b.y, b)
+      ? theme().ui.editor
+      : theme().ui.illegal;
+    ctx.beginPath();
+    ctx.arc(b.x, b.y, b.r + 4, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  // Preview of the computer's chosen cue direction before it shoots.
+  function drawComputerAim() {
+    if (!aiPlan || !cueBall || cueBall.pocketed) return;
+    const lineLen = 40 + aiPlan.power * 110;
+    ctx.save();
+    ctx.strokeStyle = theme().ui.computerAim;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 5]);
+    ctx.beginPath();
+    ctx.moveTo(cueBall.x, cueBall.y);
+    ctx.lineTo(
+      cueBall.x + aiPlan.dir.x * lineLen,
+      cueBall.y + aiPlan.dir.y * lineLen
+    );
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  // Keyboard and controller aim (no stroke being pulled) at the power the
+  // next Space or shoot button uses.
+  function drawAngleAim() {
+    if (!angleAimShown && gamepad.index === null) return;
+    if (isAiming || ballInHand.active || replay.shot) return;
+    if (!allBallsStopped() || !cueBall || cueBall.pocketed) return;
+    if (rack.over || isOpponentTurn()) return;
+    drawCueGuide(keyboardAimDir(), keyboardShotPower(), 0.3);
+  }
+
+  // Frame rate overlay: frame interval and draw time averaged over half a
+  // second.
+  const frameStats = {
+    shown: false,
+    frames: 0,
+    elapsed: 0,
+    drawing: 0,
+    fps: 0,
+    frameMs: 0,
+    drawMs: 0,
+  };
+
+  function countFrame(frameMs, drawMs) {
+    if (!frameStats.shown) return;
+    frameStats.frames += 1;
+    frameStats.elapsed += frameMs;
+    frameStats.drawing += drawMs;
+    if (frameStats.elapsed < 500) return;
+    frameStats.fps = (frameStats.frames * 1000) / frameStats.elapsed;
+    frameStats.frameMs = frameStats.elapsed / frameStats.frames;
+    frameStats.drawMs = frameStats.drawing / frameStats.frames;
+    frameStats.frames = 0;
+    frameStats.elapsed = 0;
+    frameStats.drawing = 0;
+  }
+
+  function drawFrameStats() {
+    if (!frameStats.shown) return;
+    const x = TABLE.rail + 6;
+    const y = TABLE.rail + 6;
+    ctx.save();
+    ctx.fillStyle = "rgba(15,23,42,0.8)";
+    ctx.fillRect(x, y, 150, 34);
+    ctx.fillStyle = theme().ui.overlay;
+    ctx.font = "11px ui-monospace, Menlo, Consolas, monospace";
+    ctx.textBaseline = "top";
+    ctx.fillText(
+      `${frameStats.fps.toFixed(0)} fps · ${frameStats.frameMs.toFixed(1)} ms`,
+      x + 6,
+      y + 5
+    );
+    ctx.fillText(`draw ${frameStats.drawMs.toFixed(2)} ms`, x + 6, y + 19);
+    ctx.restore();
+  }
+
+  // Cue ball face with the tip contact point; redrawn only when it changes.
+  function drawSpinSelector() {
+    if (!spinCtx) return;
+    const size = spinCanvas.width;
+    const c = size / 2;
+    const r = c - 3;
+    const face = r * 0.8;
+    const tip = gameState.tipOffset;
+
+    spinCtx.clearRect(0, 0, size, size);
+    spinCtx.fillStyle = "#f9fafb";
+    spinCtx.beginPath();
+    spinCtx.arc(c, c, r, 0, Math.PI * 2);
+    spinCtx.fill();
+    spinCtx.strokeStyle = "#9ca3af";
+    spinCtx.lineWidth = 1;
+    spinCtx.stroke();
+
+    // Crosshair and the reachable area
+    spinCtx.beginPath();
+    spinCtx.moveTo(c - face, c);
+    spinCtx.lineTo(c + face, c);
+    spinCtx.moveTo(c, c - face);
+    spinCtx.lineTo(c, c + face);
+    spinCtx.stroke();
+    spinCtx.setLineDash([3, 3]);
+    spinCtx.beginPath();
+    spinCtx.arc(c, c, face, 0, Math.PI * 2);
+    spinCtx.stroke();
+    spinCtx.setLineDash([]);
+
+    spinCtx.fillStyle = "#dc2626";
+    spinCtx.beginPath();
+    spinCtx.arc(c + tip.x * face, c - tip.y * face, 5, 0, Math.PI * 2);
+    spinCtx.fill();
+  }
+
+  // === SCRIPTING API ===
+  // window.CanvasPool lets overlays, bots and coaching tools watch and drive
+  // the game from outside this file. Positions are in logical table pixels
+  // (see getState().table), angles in radians with 0 pointing right and y
+  // down, power 0–1 and spin as a cue tip offset inside the unit circle.
+  // Calls that can't run right now throw an Error saying why.
+  const API_VERSION = 1;
+  const API_EVENTS = [
+    "shotStart",
+    "ballCollision",
+    "railHit",
+    "ballPocketed",
+    "cueScratch",
+    "shotEnd",
+    "rackCleared",
+  ];
+  const apiListeners = new Map(API_EVENTS.map((type) => [type, new Set()]));
+
+  function listenersFor(type) {
+    const set = apiListeners.get(type);
+    if (!set) throw new Error(`Unknown event "${type}"`);
+    return set;
+  }
+
+  // A throwing listener is reported but never stops the game.
+  function emit(type, detail) {
+    const set = apiListeners.get(type);
+    if (!set.size) return;
+    for (const fn of [...set]) {
+      try {
+        fn({ type, ...detail });
+      } catch (e) {
+        console.error(e);
+      }
+    }
+  }
+
+  // Ball as seen by scripts; id is its index in getState().balls.
+  function apiBall(b) {
+    return {
+      id: balls.indexOf(b),
+      number: b.isCue ? 0 : b.number,
+      name: ballName(b),
+      isCue: b.isCue,
+      x: round2(b.x),
+      y: round2(b.y),
+      pocketed: b.pocketed,
+    };
+  }
+
+  function getApiState() {
+    return {
+      version: API_VERSION,
+      mode: gameState.mode,
+      table: {
+        profile: gameState.tableProfile,
+        width: TABLE.width,
+        height: TABLE.height,
+        rail: TABLE.rail,
+        ballRadius: TABLE.ballRadius,
+      },
+      pockets: pockets.map((p) => ({
+        key: pocketKey(p),
+        x: p.x,
+        y: p.y,
+        r: p.r,
+      })),
+      balls: balls.map(apiBall),
+      players: match.players
+        .slice(0, playerCount())
+        .map((p) => ({ name: p.name, racks: p.racks })),
+      shooter: match.current,
+      ballsMoving: !allBallsStopped(),
+      ballInHand: ballInHand.active,
+      rackOver: rack.over,
+      matchOver: match.over,
+    };
+  }
+
+  // Why the local side can't act on the table right now, or null.
+  function apiBlocker() {
+    if (!allBallsStopped() || shotInProgress) return "balls are moving";
+    if (replay.shot) return "a replay is open";
+    if (gameState.editing) return "the editor is open";
+    if (matchOver()) return "the match is over";
+    if (rack.over) return `the ${rackName()} is over`;
+    if (isOpponentTurn()) return "it is not the local player's turn";
+    return null;
+  }
+
+  // Moves balls between shots: each entry is { id, x, y } and/or
+  // { id, pocketed }. Nothing changes unless the whole table ends up legal.
+  function setApiState(state) {
+    if (isOnline()) throw new Error(ONLINE_LOCKED);
+    const blocker = apiBlocker();
+    if (blocker) throw new Error(`Can't set the table: ${blocker}`);
+    const changes = (state && state.balls) || [];
+    const before = balls.map((b) => ({ x: b.x, y: b.y, pocketed: b.pocketed }));
+    for (const c of changes) {
+      const b = balls[c && c.id];
+      if (!b) throw new Error(`No ball with id ${c && c.id}`);
+      if (c.pocketed !== undefined) b.pocketed = !!c.pocketed;
+      if (c.x !== undefined) b.x = Number(c.x);
+      if (c.y !== undefined) b.y = Number(c.y);
+    }
+    // Blame a moved ball rather than the one it landed on.
+    const moved = changes.map((c) => balls[c.id]);
+    const bad = [...moved, ...balls].find(
+      (b) => (!b.pocketed || b.isCue) && !isLegalSpot(b.x, b.y, b)
+    );
+    if (bad || cueBall.pocketed) {
+      balls.forEach((b, i) => Object.assign(b, before[i]));
+      throw new Error(
+        bad
+          ? `The ${ballName(bad)} is off the table or overlaps another ball`
+          : "The cue ball can't be pocketed"
+      );
+    }
+    for (const b of balls) {
+      b.vx = 0;
+      b.vy = 0;
+    }
+    renderScoreboard();
+  }
+
+  // Ends ball in hand with the cue ball on (x, y).
+  function apiPlaceCueBall(x, y) {
+    if (!ballInHand.active || isOpponentTurn()) {
+      throw new Error("Can't place the cue ball: no ball in hand");
+    }
+    if (!isLegalCueSpot(x, y)) {
+      throw new Error("Can't place the cue ball there");
+    }
+    cueBall.x = x;
+    cueBall.y = y;
+    confirmBallInHand();
+  }
+
+  function apiShoot({ angle, power = KEYBOARD_DEFAULT_POWER, spin } = {}) {
+    const blocker = ballInHand.active
+      ? "place the cue ball first"
+      : apiBlocker();
+    if (blocker) throw new Error(`Can't shoot: ${blocker}`);
+    if (!Number.isFinite(angle) || !Number.isFinite(power)) {
+      throw new Error("Can't shoot: angle and power must be numbers");
+    }
+    if (spin) setTipOffset(Number(spin.x) || 0, Number(spin.y) || 0);
+    const dir = { x: Math.cos(angle), y: Math.sin(angle) };
+    strikeCueBall(dir, Math.max(0, Math.min(1, power)));
+  }
+
+  window.CanvasPool = {
+    version: API_VERSION,
+    events: API_EVENTS.slice(),
+    // Returns a function that removes the listener again.
+    on(type, fn) {
+      listenersFor(type).add(fn);
+      return () => listenersFor(type).delete(fn);
+    },
+    off(type, fn) {
+      listenersFor(type).delete(fn);
+    },
+    getState: getApiState,
+    setState: setApiState,
+    placeCueBall: apiPlaceCueBall,
+    shoot: apiShoot,
+  };
+
   // === MAIN LOOP ===
   function loop(ts) {
     if (!lastTime) lastTime = ts;
-    const delta = ts - lastTime;
+    const frameMs = Math.min(ts - lastTime, MAX_FRAME_MS);
+    accumulator += frameMs;
     lastTime = ts;
-    const dtFactor = Math.max(0.25, Math.min(2.5, delta / (1000 * BASE_DT)));
+    pollGamepad(frameMs);
 
-    update(dtFactor);
+    // Fixed-step physics: the same number of ticks per second at any
+    // refresh rate.
+    while (accumulator >= PoolPhysics.TICK_MS) {
+      update();
+      advanceReplay();
+      accumulator -= PoolPhysics.TICK_MS;
+    }
     updateReadyState();
 
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-    // Draw at logical resolution; canvas element is scaled via CSS for responsiveness.
+    // Draw in logical coordinates; the table layer covers the whole canvas.
+    const drawStart = performance.now();
+    ctx.setTransform(renderScale, 0, 0, renderScale, 0, 0);
     drawTable();
-    drawBalls();
-    drawAim();
+    if (replay.shot) {
+      drawBalls(replay.balls);
+    } else {
+      drawBallInHand();
+      drawBalls();
+      drawEditorSelection();
+      drawAim();
+      drawAngleAim();
+      drawComputerAim();
+    }
+    countFrame(frameMs, performance.now() - drawStart);
+    drawFrameStats();
 
     requestAnimationFrame(loop);
   }
@@ -877,13 +5802,36 @@
   }
 
   function init() {
-    // Keep internal logical size; visual scaling is in CSS.
-    canvas.width = LOGICAL_WIDTH;
-    canvas.height = LOGICAL_HEIGHT;
+    // Keep internal logical size; the backing store follows the element.
+    loadTablePref();
+    loadClothPref();
+    applyTableProfile(modeTable());
+    renderTableOptions();
 
+    loadThemePref();
+    renderThemeOptions();
+    applyTheme();
+    loadSoundPrefs();
+    syncSoundControls();
+    attachAudioUnlock();
+    loadStats();
+    loadGamepadPrefs();
+    readChallengeProgress();
+    syncChallengeControls();
+    renderGamepadBindings();
+    syncHeadStringControl();
+    renderClothOptions();
     setupBalls();
     attachPointerEvents();
     attachControlEvents();
+    attachSpinEvents();
+    // Window resizes also catch pixel ratio changes from zooming.
+    if (window.ResizeObserver) new ResizeObserver(resizeCanvas).observe(canvas);
+    window.addEventListener("resize", resizeCanvas);
+    drawSpinSelector();
+    renderDrillList();
+    if (inputOnlineServer) inputOnlineServer.placeholder = defaultRelayUrl();
+    syncOnlineControls();
     initFirstVisitHint();
     requestAnimationFrame(loop);
   }
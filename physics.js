@@ -0,0 +1,794 @@
+/* global module */
+// Deterministic pool physics, kept free of the DOM so the game, the computer
+// opponent, replays and headless scripts all run exactly the same simulation.
+//
+// State is plain data: { table, pockets, balls }. `table` carries the
+// dimensions, friction, cushion restitution and pocket cut (see TABLE in
+// game.js), `pockets` comes from createPockets(table), and each ball is
+// { x, y, vx, vy, r, pocketed, isCue }. Optional spin fields: spinX/spinY is
+// the ball's rotation expressed as the velocity it would roll at (equal to
+// vx/vy once it rolls naturally, ahead of it for follow, behind it for draw)
+// and `side` is english, positive for right-hand side. Extra ball fields are
+// left untouched.
+//
+// The simulation advances in fixed ticks of TICK_MS; velocities are in
+// logical pixels per tick. step() mutates the balls in place and returns the
+// events of that tick, so identical inputs give bit-identical results no
+// matter how often the caller renders.
+(() => {
+  const TICK_MS = 1000 / 60;
+
+  // Fastest cue strike, px per tick.
+  const MAX_CUE_SPEED = 14;
+
+  // Cloth presets: sliding (kinetic) friction and rolling resistance as
+  // decelerations in px per tick squared. Faster cloth rolls further.
+  const CLOTH_PRESETS = {
+    fast: {
+      label: "Fast (tournament)",
+      slideFriction: 0.18,
+      rollFriction: 0.03,
+    },
+    standard: { label: "Standard", slideFriction: 0.2, rollFriction: 0.041 },
+    slow: { label: "Slow (bar)", slideFriction: 0.22, rollFriction: 0.055 },
+  };
+
+  // A tip offset of 1 strikes half a radius off centre; for a solid ball
+  // that spins it at 2.5x that fraction of the cue speed.
+  const TIP_SPIN = 1.25;
+  const SIDE_GAIN = 0.6;
+  const SIDE_DECAY = 0.992;
+  const RAIL_ENGLISH = 0.35;
+
+  // === TABLE GEOMETRY ===
+  // Cushion noses run along x = rail, x = width - rail, y = rail and
+  // y = height - rail. Each pocket opens a gap in one cushion (side pocket)
+  // or two (corner pocket). From both ends of the gap a jaw runs back
+  // through the rail, angled towards the pocket so the throat is narrower
+  // than the mouth; balls can rattle between the jaws and come back out.
+  // A ball drops once its centre is over the hole at the back of the throat.
+  //
+  // Pocket: { x, y, r } hole, kind "corner" | "side", mouth { x1, y1, x2,
+  // y2 } between the cushion noses, jaws [{ x1, y1, x2, y2 }] from each nose
+  // to the back of the rail, and openings [{ side, from, to }]: the span of
+  // each cushion line (along x for top/bottom, y for left/right) with no
+  // cushion.
+  function createPockets(table) {
+    const w = table.width;
+    const h = table.height;
+    const rail = table.rail;
+    const d = table.ballRadius * 2;
+    const tight = Math.max(0, Math.min(1, table.pocketTightness));
+    const cornerAngle = (table.cornerJawAngle * Math.PI) / 180;
+    const sideAngle = (table.sideJawAngle * Math.PI) / 180;
+    // Mouth widths between the noses: cornerMouth and sideMouth ball
+    // diameters on the most generous cut, narrowed by the tightness.
+    const cornerGap = (d * (table.cornerMouth - 0.8 * tight)) / Math.SQRT2;
+    const sideHalf = (d * (table.sideMouth - 0.8 * tight)) / 2;
+
+    // Jaw from a nose: `out` is the cushion's outward normal and `toward`
+    // points along the cushion line into the pocket.
+    function jaw(nose, out, toward, angle) {
+      const reach = rail / Math.cos(angle);
+      return {
+        x1: nose.x,
+        y1: nose.y,
+        x2:
+          nose.x +
+          (out.x * Math.cos(angle) + toward.x * Math.sin(angle)) * reach,
+        y2:
+          nose.y +
+          (out.y * Math.cos(angle) + toward.y * Math.sin(angle)) * reach,
+      };
+    }
+
+    // The hole sits on the throat (between the jaw ends) and reaches a
+    // little way towards the mouth.
+    function pocket(kind, jaws, openings) {
+      const [a, b] = jaws;
+      const throatHalf = Math.hypot(a.x2 - b.x2, a.y2 - b.y2) / 2;
+      return {
+        x: (a.x2 + b.x2) / 2,
+        y: (a.y2 + b.y2) / 2,
+        r: throatHalf + table.ballRadius * 0.45,
+        kind,
+        mouth: { x1: a.x1, y1: a.y1, x2: b.x1, y2: b.y1 },
+        jaws,
+        openings,
+      };
+    }
+
+    // Corner at (cx, cy); sx, sy (±1) point from the corner into the table.
+    function corner(cx, cy, sx, sy) {
+      const hNose = { x: cx + sx * (rail + cornerGap), y: cy + sy * rail };
+      const vNose = { x: cx + sx * rail, y: cy + sy * (rail + cornerGap) };
+      const hSide = sy > 0 ? "top" : "bottom";
+      const vSide = sx > 0 ? "left" : "right";
+      const spanX = [cx, hNose.x].sort((p, q) => p - q);
+      const spanY = [cy, vNose.y].sort((p, q) => p - q);
+      return pocket(
+        "corner",
+        [
+          jaw(hNose, { x: 0, y: -sy }, { x: -sx, y: 0 }, cornerAngle),
+          jaw(vNose, { x: -sx, y: 0 }, { x: 0, y: -sy }, cornerAngle),
+        ],
+        [
+          { side: hSide, from: spanX[0], to: spanX[1] },
+          { side: vSide, from: spanY[0], to: spanY[1] },
+        ]
+      );
+    }
+
+    // Side pocket in the top (sy = 1) or bottom (sy = -1) cushion.
+    function side(cy, sy) {
+      const y = cy + sy * rail;
+      const out = { x: 0, y: -sy };
+      return pocket(
+        "side",
+        [
+          jaw({ x: w / 2 - sideHalf, y }, out, { x: 1, y: 0 }, sideAngle),
+          jaw({ x: w / 2 + sideHalf, y }, out, { x: -1, y: 0 }, sideAngle),
+        ],
+        [
+          {
+            side: sy > 0 ? "top" : "bottom",
+            from: w / 2 - sideHalf,
+            to: w / 2 + sideHalf,
+          },
+        ]
+      );
+    }
+
+    // Same order as always: top-left, top-middle, top-right, bottom-left,
+    // bottom-middle, bottom-right.
+    return [
+      corner(0, 0, 1, 1),
+      side(0, 1),
+      corner(w, 0, -1, 1),
+      corner(0, h, 1, -1),
+      side(h, -1),
+      corner(w, h, -1, -1),
+    ];
+  }
+
+  // True when `along` (x for top/bottom, y for left/right) falls inside a
+  // pocket opening of that cushion.
+  function inOpening(pockets, side, along) {
+    for (const p of pockets) {
+      for (const o of p.openings) {
+        if (o.side === side && along > o.from && along < o.to) return true;
+      }
+    }
+    return false;
+  }
+
+  function closestOnSegment(px, py, s) {
+    const vx = s.x2 - s.x1;
+    const vy = s.y2 - s.y1;
+    const lenSq = vx * vx + vy * vy || 1;
+    const t = Math.max(
+      0,
+      Math.min(1, ((px - s.x1) * vx + (py - s.y1) * vy) / lenSq)
+    );
+    return { x: s.x1 + t * vx, y: s.y1 + t * vy };
+  }
+
+  // === STEP PHASES ===
+  function integrate(balls, dt) {
+    for (const b of balls) {
+      if (b.pocketed) continue;
+      b.x += b.vx * dt;
+      b.y += b.vy * dt;
+    }
+  }
+
+  // Bounce off a surface whose normal (nx, ny) points from the ball into
+  // it, keeping `e` of the incoming normal speed. Right-hand english kicks
+  // the ball towards the right of its incoming direction (left-hand to the
+  // left) and is partly used up. Returns the speed into the surface, 0 when
+  // the ball was already moving away.
+  function bounce(b, nx, ny, e) {
+    const vn = b.vx * nx + b.vy * ny;
+    if (vn <= 0) return 0;
+    b.vx -= (1 + e) * vn * nx;
+    b.vy -= (1 + e) * vn * ny;
+    if (b.spinX || b.spinY) {
+      const sn = b.spinX * nx + b.spinY * ny;
+      b.spinX -= (1 + e) * sn * nx;
+      b.spinY -= (1 + e) * sn * ny;
+    }
+    if (b.side) {
+      const limit = vn * 0.8;
+      const kick = Math.max(-limit, Math.min(limit, b.side * RAIL_ENGLISH));
+      b.vx -= ny * kick;
+      b.vy += nx * kick;
+      b.side *= 0.6;
+    }
+    return vn;
+  }
+
+  // Rubber gives back less of a hard hit than of a soft one.
+  function cushionRestitution(table, b, nx, ny) {
+    const vn = Math.max(0, b.vx * nx + b.vy * ny);
+    return Math.max(
+      0.5,
+      table.cushionRestitution - table.cushionSpeedLoss * vn
+    );
+  }
+
+  function hitCushion(state, events, b, ball, side, nx, ny) {
+    const e = cushionRestitution(state.table, b, nx, ny);
+    const impulse = bounce(b, nx, ny, e);
+    if (impulse > 0) events.push({ type: "rail", ball, side, impulse });
+  }
+
+  // Straight cushions between the pockets.
+  function resolveCushions(state, events) {
+    const { table, pockets, balls } = state;
+    const minX = table.rail + table.ballRadius;
+    const maxX = table.width - table.rail - table.ballRadius;
+    const minY = table.rail + table.ballRadius;
+    const maxY = table.height - table.rail - table.ballRadius;
+
+    balls.forEach((b, ball) => {
+      if (b.pocketed) return;
+
+      if (b.x < minX && !inOpening(pockets, "left", b.y)) {
+        b.x = minX;
+        hitCushion(state, events, b, ball, "left", -1, 0);
+      }
+      if (b.x > maxX && !inOpening(pockets, "right", b.y)) {
+        b.x = maxX;
+        hitCushion(state, events, b, ball, "right", 1, 0);
+      }
+      if (b.y < minY && !inOpening(pockets, "top", b.x)) {
+        b.y = minY;
+        hitCushion(state, events, b, ball, "top", 0, -1);
+      }
+      if (b.y > maxY && !inOpening(pockets, "bottom", b.x)) {
+        b.y = maxY;
+        hitCushion(state, events, b, ball, "bottom", 0, 1);
+      }
+    });
+  }
+
+  // (nx, ny) points from the jaw towards the ball centre.
+  function hitJaw(state, events, b, ball, pocket, nx, ny) {
+    const impulse = bounce(b, -nx, -ny, state.table.jawRestitution);
+    if (impulse > 0) {
+      events.push({ type: "rail", ball, side: "jaw", pocket, impulse });
+    }
+  }
+
+  // Jaws, including the rounded cushion noses at their table ends. The jaw
+  // rubber is softer than the cushions, which is what makes a ball rattle.
+  function resolveJaws(state, events) {
+    const { table, pockets, balls } = state;
+    const reach = table.rail * 2 + table.ballRadius * 4;
+    balls.forEach((b, ball) => {
+      if (b.pocketed) return;
+      pockets.forEach((p, pocket) => {
+        if (Math.abs(b.x - p.x) > reach || Math.abs(b.y - p.y) > reach) return;
+        for (const s of p.jaws) {
+          const q = closestOnSegment(b.x, b.y, s);
+          const dx = b.x - q.x;
+          const dy = b.y - q.y;
+          const dist = Math.sqrt(dx * dx + dy * dy);
+          if (dist >= b.r || dist === 0) continue;
+          const nx = dx / dist;
+          const ny = dy / dist;
+          b.x = q.x + nx * b.r;
+          b.y = q.y + ny * b.r;
+          hitJaw(state, events, b, ball, pocket, nx, ny);
+        }
+      });
+    });
+  }
+
+  function resolveBallContacts(balls, events) {
+    for (let i = 0; i < balls.length; i++) {
+      const a = balls[i];
+      if (a.pocketed) continue;
+      for (let j = i + 1; j < balls.length; j++) {
+        const b = balls[j];
+        if (b.pocketed) continue;
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        const minDist = a.r + b.r;
+        if (dist > 0 && dist < minDist) {
+          const nx = dx / dist;
+          const ny = dy / dist;
+          const overlap = (minDist - dist) / 2;
+          a.x -= nx * overlap;
+          a.y -= ny * overlap;
+          b.x += nx * overlap;
+          b.y += ny * overlap;
+          collide(balls, i, j, nx, ny, events);
+        }
+      }
+    }
+  }
+
+  // Equal-mass elastic impulse along the unit normal (nx, ny) from ball i
+  // to ball j, applied only while they are closing.
+  function collide(balls, i, j, nx, ny, events) {
+    const a = balls[i];
+    const b = balls[j];
+    const rel = (b.vx - a.vx) * nx + (b.vy - a.vy) * ny;
+    if (rel >= 0) return;
+    const impulse = -rel;
+    events.push({ type: "contact", a: i, b: j, impulse });
+    const ix = impulse * nx;
+    const iy = impulse * ny;
+    a.vx -= ix;
+    a.vy -= iy;
+    b.vx += ix;
+    b.vy += iy;
+  }
+
+  // A ball drops once its centre is over a hole. Anything that still gets
+  // off the table goes down the nearest pocket.
+  function resolvePockets(state, events) {
+    const { table, pockets, balls } = state;
+    balls.forEach((b, ball) => {
+      if (b.pocketed) return;
+      let pocket = -1;
+      let nearest = Infinity;
+      pockets.forEach((p, i) => {
+        const dx = b.x - p.x;
+        const dy = b.y - p.y;
+        const d = Math.sqrt(dx * dx + dy * dy);
+        if (d < nearest) {
+          nearest = d;
+          pocket = i;
+        }
+      });
+      const offTable =
+        b.x < 0 || b.y < 0 || b.x > table.width || b.y > table.height;
+      if (pocket < 0 || (nearest >= pockets[pocket].r && !offTable)) return;
+      b.pocketed = true;
+      b.vx = 0;
+      b.vy = 0;
+      b.spinX = 0;
+      b.spinY = 0;
+      b.side = 0;
+      events.push({ type: "pocket", ball, pocket });
+    });
+  }
+
+  // === SWEPT MOTION ===
+  // A tick is split at every impact: find the earliest time of impact among
+  // all ball-ball, ball-cushion and ball-jaw pairs, move everything to it,
+  // resolve that one impact and repeat for the rest of the tick. Fast balls
+  // therefore can't pass through each other or the rails, and impacts are
+  // always handled in the same order.
+  const MAX_IMPACTS_PER_TICK = 64;
+
+  // Earliest t in [0, limit] at which a point moving by (vx, vy) per unit
+  // time from offset (dx, dy) comes within `reach` of the origin, or -1.
+  function timeToReach(dx, dy, vx, vy, reach, limit) {
+    const b = dx * vx + dy * vy;
+    if (b >= 0) return -1; // not closing
+    const c = dx * dx + dy * dy - reach * reach;
+    if (c <= 0) return 0;
+    const a = vx * vx + vy * vy;
+    const disc = b * b - a * c;
+    if (disc < 0) return -1;
+    const t = (-b - Math.sqrt(disc)) / a;
+    return t <= limit ? t : -1;
+  }
+
+  // Cushion lines as { side, axis, limit, sign }: the ball centre may not
+  // go past `limit` along `axis` in the direction of `sign`.
+  function cushionLines(table) {
+    const r = table.ballRadius;
+    return [
+      { side: "left", axis: "x", limit: table.rail + r, sign: -1 },
+      {
+        side: "right",
+        axis: "x",
+        limit: table.width - table.rail - r,
+        sign: 1,
+      },
+      { side: "top", axis: "y", limit: table.rail + r, sign: -1 },
+      {
+        side: "bottom",
+        axis: "y",
+        limit: table.height - table.rail - r,
+        sign: 1,
+      },
+    ];
+  }
+
+  function earliestImpact(state, lines, limit) {
+    const { pockets, balls } = state;
+    let best = null;
+    const consider = (t, impact) => {
+      if (t >= 0 && (!best || t < best.t)) best = { t, ...impact };
+    };
+
+    for (let i = 0; i < balls.length; i++) {
+      const a = balls[i];
+      if (a.pocketed) continue;
+      const aMoving = a.vx !== 0 || a.vy !== 0;
+
+      for (let j = i + 1; j < balls.length; j++) {
+        const b = balls[j];
+        if (b.pocketed || (!aMoving && b.vx === 0 && b.vy === 0)) continue;
+        consider(
+          timeToReach(
+            b.x - a.x,
+            b.y - a.y,
+            b.vx - a.vx,
+            b.vy - a.vy,
+            a.r + b.r,
+            limit
+          ),
+          { kind: "ball", i, j }
+        );
+      }
+      if (!aMoving) continue;
+
+      for (const line of lines) {
+        const pos = line.axis === "x" ? a.x : a.y;
+        const vel = line.axis === "x" ? a.vx : a.vy;
+        if (vel * line.sign <= 0) continue;
+        const t = Math.max(0, (line.limit - pos) / vel);
+        if (t > limit) continue;
+        const along = line.axis === "x" ? a.y + a.vy * t : a.x + a.vx * t;
+        if (inOpening(pockets, line.side, along)) continue;
+        consider(t, { kind: "cushion", i, line });
+      }
+
+      pockets.forEach((p, pocket) => {
+        for (const s of p.jaws) {
+          jawImpact(a, s, limit, (t, nx, ny) =>
+            consider(t, { kind: "jaw", i, pocket, nx, ny })
+          );
+        }
+      });
+    }
+    return best;
+  }
+
+  // Reports (t, nx, ny) for the first touch between ball `b` and jaw `s`,
+  // with (nx, ny) pointing from the jaw towards the ball at impact.
+  function jawImpact(b, s, limit, report) {
+    const sx = s.x2 - s.x1;
+    const sy = s.y2 - s.y1;
+    const length = Math.sqrt(sx * sx + sy * sy);
+    const ux = sx / length;
+    const uy = sy / length;
+
+    // Flat face, from whichever side the ball is on.
+    let nx = -uy;
+    let ny = ux;
+    let dist = (b.x - s.x1) * nx + (b.y - s.y1) * ny;
+    if (dist < 0) {
+      nx = -nx;
+      ny = -ny;
+      dist = -dist;
+    }
+    const closing = -(b.vx * nx + b.vy * ny);
+    if (closing > 0) {
+      const t = Math.max(0, (dist - b.r) / closing);
+      if (t <= limit) {
+        const along =
+          (b.x + b.vx * t - s.x1) * ux + (b.y + b.vy * t - s.y1) * uy;
+        if (along >= 0 && along <= length) report(t, nx, ny);
+      }
+    }
+
+    // Rounded ends.
+    for (const [ex, ey] of [
+      [s.x1, s.y1],
+      [s.x2, s.y2],
+    ]) {
+      const t = timeToReach(b.x - ex, b.y - ey, b.vx, b.vy, b.r, limit);
+      if (t < 0) continue;
+      const cx = b.x + b.vx * t - ex;
+      const cy = b.y + b.vy * t - ey;
+      const d = Math.sqrt(cx * cx + cy * cy) || 1;
+      report(t, cx / d, cy / d);
+    }
+  }
+
+  function resolveImpact(state, impact, events) {
+    const { balls } = state;
+    const b = balls[impact.i];
+    if (impact.kind === "ball") {
+      const o = balls[impact.j];
+      const dx = o.x - b.x;
+      const dy = o.y - b.y;
+      const d = Math.sqrt(dx * dx + dy * dy) || 1;
+      collide(balls, impact.i, impact.j, dx / d, dy / d, events);
+    } else if (impact.kind === "cushion") {
+      const { line } = impact;
+      const nx = line.axis === "x" ? line.sign : 0;
+      const ny = line.axis === "y" ? line.sign : 0;
+      hitCushion(state, events, b, impact.i, line.side, nx, ny);
+    } else {
+      hitJaw(state, events, b, impact.i, impact.pocket, impact.nx, impact.ny);
+    }
+  }
+
+  function advance(state, events) {
+    const lines = cushionLines(state.table);
+    let remaining = 1;
+    for (let n = 0; n < MAX_IMPACTS_PER_TICK && remaining > 0; n++) {
+      const impact = earliestImpact(state, lines, remaining);
+      if (!impact) break;
+      integrate(state.balls, impact.t);
+      remaining -= impact.t;
+      resolveImpact(state, impact, events);
+      resolvePockets(state, events);
+    }
+    if (remaining > 0) integrate(state.balls, remaining);
+  }
+
+  // Cloth friction. While the contact point slips (velocity differs from
+  // the rolling velocity) kinetic friction slows the ball and turns its
+  // spin towards natural roll; a solid ball closes the slip 3.5x faster
+  // than it loses speed. Once rolling, rolling resistance slows velocity
+  // and spin together until the ball stops.
+  function applyFriction(state) {
+    const { table, balls } = state;
+    const slide = table.slideFriction;
+    const roll = table.rollFriction;
+    for (const b of balls) {
+      if (b.pocketed) continue;
+      const spinX = b.spinX || 0;
+      const spinY = b.spinY || 0;
+      const slipX = b.vx - spinX;
+      const slipY = b.vy - spinY;
+      const slip = Math.sqrt(slipX * slipX + slipY * slipY);
+
+      if (slip > 1e-9) {
+        if (slip <= slide * 3.5) {
+          // Rolling starts within this tick.
+          b.vx -= slipX / 3.5;
+          b.vy -= slipY / 3.5;
+          b.spinX = b.vx;
+          b.spinY = b.vy;
+        } else {
+          const ux = slipX / slip;
+          const uy = slipY / slip;
+          b.vx -= ux * slide;
+          b.vy -= uy * slide;
+          b.spinX = spinX + ux * slide * 2.5;
+          b.spinY = spinY + uy * slide * 2.5;
+        }
+      } else {
+        const speed = Math.sqrt(b.vx * b.vx + b.vy * b.vy);
+        if (speed <= roll) {
+          b.vx = 0;
+          b.vy = 0;
+        } else {
+          const k = (speed - roll) / speed;
+          b.vx *= k;
+          b.vy *= k;
+        }
+        b.spinX = b.vx;
+        b.spinY = b.vy;
+      }
+
+      if (b.side) b.side *= SIDE_DECAY;
+      // English on a resting ball has nothing left to act on.
+      if (b.vx === 0 && b.vy === 0 && !b.spinX && !b.spinY) b.side = 0;
+    }
+  }
+
+  // === PREDICTION ===
+  // Straight-line geometry for the aiming aid; ignores friction and spin.
+
+  // First cushion along a ray from (x, y). `pocket` is true when the point
+  // lies in a pocket mouth, where the real ball would not bounce.
+  function castToCushion(state, x, y, dir) {
+    const { table } = state;
+    const minX = table.rail + table.ballRadius;
+    const maxX = table.width - table.rail - table.ballRadius;
+    const minY = table.rail + table.ballRadius;
+    const maxY = table.height - table.rail - table.ballRadius;
+    const hits = [];
+    if (dir.x < 0)
+      hits.push({ t: (minX - x) / dir.x, side: "left", nx: -1, ny: 0 });
+    if (dir.x > 0)
+      hits.push({ t: (maxX - x) / dir.x, side: "right", nx: 1, ny: 0 });
+    if (dir.y < 0)
+      hits.push({ t: (minY - y) / dir.y, side: "top", nx: 0, ny: -1 });
+    if (dir.y > 0)
+      hits.push({ t: (maxY - y) / dir.y, side: "bottom", nx: 0, ny: 1 });
+    let best = null;
+    for (const h of hits) {
+      if (!best || h.t < best.t) best = h;
+    }
+    if (!best) return null;
+    const t = Math.max(0, best.t);
+    const point = { x: x + dir.x * t, y: y + dir.y * t };
+    return {
+      x: point.x,
+      y: point.y,
+      t,
+      nx: best.nx,
+      ny: best.ny,
+      pocket: inOpening(
+        state.pockets,
+        best.side,
+        best.nx === 0 ? point.x : point.y
+      ),
+    };
+  }
+
+  // First ball the moving ball would touch, as distance along the ray.
+  function castToBall(balls, from, dir) {
+    let best = null;
+    balls.forEach((b, ball) => {
+      if (b === from || b.pocketed) return;
+      const fx = b.x - from.x;
+      const fy = b.y - from.y;
+      const along = fx * dir.x + fy * dir.y;
+      if (along <= 0) return;
+      const reach = from.r + b.r;
+      const offSq = fx * fx + fy * fy - along * along;
+      if (offSq >= reach * reach) return;
+      const t = along - Math.sqrt(reach * reach - offSq);
+      if (!best || t < best.t) best = { ball, t };
+    });
+    return best;
+  }
+
+  // Where a shot along `dir` goes: the cue path up to the first ball or
+  // cushion, then either the contact (ghost ball position, object ball
+  // departure line and cue tangent line) or the first cushion reflection.
+  function predictPath(state, ballIndex, dir) {
+    const cue = state.balls[ballIndex];
+    const cushion = castToCushion(state, cue.x, cue.y, dir);
+    const hit = castToBall(state.balls, cue, dir);
+    const result = {
+      end: cushion && { x: cushion.x, y: cushion.y },
+      contact: null,
+      rail: null,
+    };
+
+    if (hit && (!cushion || hit.t < cushion.t)) {
+      const obj = state.balls[hit.ball];
+      const ghost = { x: cue.x + dir.x * hit.t, y: cue.y + dir.y * hit.t };
+      const nx = (obj.x - ghost.x) / (cue.r + obj.r);
+      const ny = (obj.y - ghost.y) / (cue.r + obj.r);
+      const objectDir = { x: nx, y: ny };
+      const along = dir.x * nx + dir.y * ny;
+      const tx = dir.x - along * nx;
+      const ty = dir.y - along * ny;
+      const tLen = Math.sqrt(tx * tx + ty * ty);
+      const objectCushion = castToCushion(state, obj.x, obj.y, objectDir);
+      result.end = ghost;
+      result.contact = {
+        ball: hit.ball,
+        ghost,
+        objectDir,
+        objectEnd: objectCushion && {
+          x: objectCushion.x,
+          y: objectCushion.y,
+        },
+        objectPocket: !!objectCushion && objectCushion.pocket,
+        // A full-ball hit leaves no tangent line.
+        cueDir: tLen > 1e-3 ? { x: tx / tLen, y: ty / tLen } : null,
+      };
+    } else if (cushion && !cushion.pocket) {
+      const dn = dir.x * cushion.nx + dir.y * cushion.ny;
+      const out = {
+        x: dir.x - 2 * dn * cushion.nx,
+        y: dir.y - 2 * dn * cushion.ny,
+      };
+      const next = castToCushion(state, cushion.x, cushion.y, out);
+      result.rail = {
+        x: cushion.x,
+        y: cushion.y,
+        dir: out,
+        end: next && { x: next.x, y: next.y },
+      };
+    }
+    return result;
+  }
+
+  // === PUBLIC API ===
+  // Advance one tick. Events reference balls and pockets by array index:
+  // { type: "contact", a, b, impulse } | { type: "rail", ball, side, impulse }
+  // | { type: "pocket", ball, pocket }. Jaw hits are rail events with
+  // side "jaw" and the pocket index.
+  function step(state) {
+    const events = [];
+    advance(state, events);
+    // The overlap passes only mop up rounding and ticks that hit the
+    // impact cap; after a swept move they normally find nothing.
+    resolveCushions(state, events);
+    resolveJaws(state, events);
+    resolveBallContacts(state.balls, events);
+    resolvePockets(state, events);
+    applyFriction(state);
+    return events;
+  }
+
+  // Cue strike: dir is a unit vector, speed in px per tick and tip the cue
+  // tip offset on the ball face (x: right english, y: follow; -1..1 each).
+  function strike(ball, dir, speed, tip = { x: 0, y: 0 }) {
+    ball.vx += dir.x * speed;
+    ball.vy += dir.y * speed;
+    // Centre ball leaves with no spin and slides before it rolls.
+    ball.spinX = dir.x * speed * tip.y * TIP_SPIN;
+    ball.spinY = dir.y * speed * tip.y * TIP_SPIN;
+    ball.side = speed * tip.x * SIDE_GAIN;
+  }
+
+  // A resting ball that still spins is about to move.
+  function isMoving(state) {
+    return state.balls.some(
+      (b) => !b.pocketed && (b.vx !== 0 || b.vy !== 0 || b.spinX || b.spinY)
+    );
+  }
+
+  // Run until every ball rests (or maxTicks pass). Each event gains a `tick`.
+  function simulate(state, maxTicks = 3600) {
+    const all = [];
+    for (let tick = 0; tick < maxTicks && isMoving(state); tick++) {
+      for (const ev of step(state)) {
+        ev.tick = tick;
+        all.push(ev);
+      }
+    }
+    return all;
+  }
+
+  // Shallow copies, so what-if simulations never move the live balls.
+  function cloneBalls(balls) {
+    return balls.map((b) => ({ ...b }));
+  }
+
+  // FNV-1a over the raw bits of every ball's position, velocity, spin and
+  // pocketed flag. Equal checksums mean bit-identical states.
+  function checksum(balls) {
+    const view = new DataView(new ArrayBuffer(8));
+    let hash = 0x811c9dc5;
+    const mix = (byte) => {
+      hash ^= byte;
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    };
+    for (const b of balls) {
+      for (const v of [
+        b.x,
+        b.y,
+        b.vx,
+        b.vy,
+        b.spinX || 0,
+        b.spinY || 0,
+        b.side || 0,
+      ]) {
+        view.setFloat64(0, v);
+        for (let i = 0; i < 8; i++) mix(view.getUint8(i));
+      }
+      mix(b.pocketed ? 1 : 0);
+    }
+    return hash.toString(16).padStart(8, "0");
+  }
+
+  const PoolPhysics = {
+    TICK_MS,
+    MAX_CUE_SPEED,
+    CLOTH_PRESETS,
+    createPockets,
+    step,
+    strike,
+    predictPath,
+    isMoving,
+    simulate,
+    cloneBalls,
+    checksum,
+  };
+
+  if (typeof module === "object" && module.exports) {
+    module.exports = PoolPhysics;
+  } else {
+    window.PoolPhysics = PoolPhysics;
+  }
+})();
@@ -0,0 +1,267 @@
+// Relay server for online matches. Serves the game files over HTTP and
+// pairs two browsers per room over a WebSocket at /ws, forwarding game
+// messages between them. It never simulates anything: both clients run the
+// physics and check each other's results. Plain Node, no dependencies:
+//
+//   node server/relay.js            (PORT=8787 by default)
+"use strict";
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const PORT = Number(process.env.PORT) || 8787;
+const ROOT = path.resolve(__dirname, "..");
+// Must match ONLINE_PROTOCOL in game.js.
+const PROTOCOL_VERSION = 1;
+const MAX_MESSAGE_BYTES = 64 * 1024;
+const MAX_CHAT_LENGTH = 200;
+const ROOM_PATTERN = /^[A-Za-z0-9_-]{1,24}$/;
+// Messages passed through to the other seat untouched (chat is trimmed).
+const RELAYED = ["shot", "result", "chat", "rematch", "pass", "next-rack"];
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json",
+};
+
+// === STATIC FILES ===
+// Decoded path of a request, or null when the URL or its escapes are
+// malformed (e.g. //%zz or /%E0%A4%A).
+function requestPath(req) {
+  try {
+    return decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+  } catch (e) {
+    return null;
+  }
+}
+
+function serveFile(req, res) {
+  const rel = requestPath(req);
+  if (rel === null) {
+    res.writeHead(400);
+    res.end("Bad request");
+    return;
+  }
+  const file = path.resolve(ROOT, `.${rel === "/" ? "/index.html" : rel}`);
+  const type = MIME_TYPES[path.extname(file)];
+  if (!file.startsWith(ROOT + path.sep) || !type) {
+    res.writeHead(404);
+    res.end("Not found");
+    return;
+  }
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      res.writeHead(404);
+      res.end("Not found");
+      return;
+    }
+    res.writeHead(200, { "Content-Type": type });
+    res.end(data);
+  });
+}
+
+// === WEBSOCKET FRAMING ===
+// Just enough of RFC 6455 for small text messages: unfragmented text
+// frames, ping/pong and close.
+function encodeFrame(opcode, payload) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Parses whole frames off the front of buffer; returns the leftover bytes.
+function readFrames(buffer, onFrame) {
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const b0 = buffer[offset];
+    const b1 = buffer[offset + 1];
+    let len = b1 & 0x7f;
+    let pos = offset + 2;
+    if (len === 126) {
+      if (buffer.length < pos + 2) break;
+      len = buffer.readUInt16BE(pos);
+      pos += 2;
+    } else if (len === 127) {
+      if (buffer.length < pos + 8) break;
+      len = Number(buffer.readBigUInt64BE(pos));
+      pos += 8;
+    }
+    if (len > MAX_MESSAGE_BYTES) throw new Error("frame too large");
+    const masked = (b1 & 0x80) !== 0;
+    const maskStart = pos;
+    if (masked) pos += 4;
+    if (buffer.length < pos + len) break;
+    const payload = Buffer.from(buffer.subarray(pos, pos + len));
+    if (masked) {
+      for (let i = 0; i < len; i++) payload[i] ^= buffer[maskStart + (i % 4)];
+    }
+    onFrame({ fin: (b0 & 0x80) !== 0, opcode: b0 & 0x0f, payload });
+    offset = pos + len;
+  }
+  return buffer.subarray(offset);
+}
+
+function acceptKey(key) {
+  return crypto
+    .createHash("sha1")
+    .update(key + WS_GUID)
+    .digest("base64");
+}
+
+// === ROOMS ===
+// room name -> { seats: [client | null, client | null] }
+const rooms = new Map();
+
+function send(client, msg) {
+  if (client.closed) return;
+  const data = Buffer.from(JSON.stringify({ v: PROTOCOL_VERSION, ...msg }));
+  client.socket.write(encodeFrame(0x1, data));
+}
+
+function otherSeat(client) {
+  const room = rooms.get(client.room);
+  return room ? room.seats[1 - client.seat] : null;
+}
+
+function join(client, msg) {
+  if (client.room) return send(client, { type: "error", reason: "joined" });
+  if (msg.v !== PROTOCOL_VERSION) {
+    return send(client, { type: "error", reason: "version" });
+  }
+  const name = typeof msg.room === "string" ? msg.room : "";
+  if (!ROOM_PATTERN.test(name)) {
+    return send(client, { type: "error", reason: "room" });
+  }
+  if (!rooms.has(name)) rooms.set(name, { seats: [null, null] });
+  const room = rooms.get(name);
+  const seat = room.seats.indexOf(null);
+  if (seat < 0) return send(client, { type: "error", reason: "full" });
+
+  client.room = name;
+  client.seat = seat;
+  client.name = String(msg.name || `Player ${seat + 1}`).slice(0, 16);
+  client.settings =
+    msg.settings && typeof msg.settings === "object" ? msg.settings : {};
+  room.seats[seat] = client;
+  send(client, { type: "joined", room: name, seat });
+
+  const [a, b] = room.seats;
+  if (a && b) {
+    // The first seat breaks and its settings set up the table.
+    const start = {
+      type: "start",
+      players: [a.name, b.name],
+      settings: a.settings,
+    };
+    send(a, start);
+    send(b, start);
+  }
+}
+
+function leave(client) {
+  const room = rooms.get(client.room);
+  if (!room) return;
+  room.seats[client.seat] = null;
+  const other = room.seats[1 - client.seat];
+  if (other) send(other, { type: "peer-left", name: client.name });
+  else rooms.delete(client.room);
+  client.room = null;
+}
+
+function onMessage(client, text) {
+  let msg;
+  try {
+    msg = JSON.parse(text);
+  } catch (e) {
+    return;
+  }
+  if (!msg || typeof msg.type !== "string") return;
+  if (msg.type === "join") {
+    join(client, msg);
+    return;
+  }
+  if (!RELAYED.includes(msg.type) || msg.v !== PROTOCOL_VERSION) return;
+  const other = otherSeat(client);
+  if (!other) return;
+  if (msg.type === "chat") {
+    msg.text = String(msg.text || "").slice(0, MAX_CHAT_LENGTH);
+  }
+  send(other, { ...msg, from: client.seat });
+}
+
+// === SERVER ===
+function onUpgrade(req, socket) {
+  const key = req.headers["sec-websocket-key"];
+  if (requestPath(req) !== "/ws" || !key) {
+    socket.destroy();
+    return;
+  }
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${acceptKey(key)}\r\n\r\n`
+  );
+
+  const client = { socket, room: null, seat: null, name: "", closed: false };
+  let pending = Buffer.alloc(0);
+
+  function close() {
+    if (client.closed) return;
+    leave(client);
+    client.closed = true;
+    socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+  }
+
+  socket.on("data", (chunk) => {
+    pending = Buffer.concat([pending, chunk]);
+    try {
+      pending = readFrames(pending, (frame) => {
+        if (frame.opcode === 0x8) close();
+        else if (frame.opcode === 0x9) {
+          socket.write(encodeFrame(0xa, frame.payload));
+        } else if (frame.opcode === 0x1 && frame.fin) {
+          onMessage(client, frame.payload.toString("utf8"));
+        }
+      });
+    } catch (e) {
+      close();
+    }
+  });
+  // The HTTP server leaves sockets half-open, so answer the peer's FIN.
+  socket.on("end", close);
+  socket.on("close", () => {
+    leave(client);
+    client.closed = true;
+  });
+  socket.on("error", () => socket.destroy());
+}
+
+// Only listens when run directly; the tests require() the helpers.
+if (require.main === module) {
+  const server = http.createServer(serveFile);
+  server.on("upgrade", onUpgrade);
+  server.listen(PORT, () => {
+    console.log(`Canvas Pool relay on http://localhost:${PORT}/`);
+  });
+}
+
+module.exports = { serveFile, encodeFrame, readFrames, MAX_MESSAGE_BYTES };
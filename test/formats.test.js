@@ -0,0 +1,160 @@
+// formats.js decides which replay and level pack files the game accepts.
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const PoolFormats = require("../formats.js");
+
+const POOL_TABLES = ["pool7", "pool8", "pool9"];
+
+function replayText(changes = {}) {
+  return JSON.stringify({
+    format: PoolFormats.REPLAY_FORMAT,
+    version: PoolFormats.REPLAY_VERSION,
+    mode: "free",
+    table: { width: 800, height: 400 },
+    tickMs: 1000 / 60,
+    strike: { angle: 0, power: 0.5, tip: { x: 0, y: 0 } },
+    balls: [
+      { number: 0, x: 200, y: 200, isCue: true },
+      { number: 1, x: 560, y: 200 },
+    ],
+    frames: [
+      [
+        [200, 200],
+        [560, 200],
+      ],
+      [[210, 200], null],
+    ],
+    ...changes,
+  });
+}
+
+function pack(levels) {
+  return {
+    format: PoolFormats.LEVEL_PACK_FORMAT,
+    version: PoolFormats.LEVEL_PACK_VERSION,
+    id: "test",
+    levels,
+  };
+}
+
+function level(changes = {}) {
+  return {
+    id: "one",
+    balls: [
+      { number: 0, x: 0.25, y: 0.5 },
+      { number: 1, x: 0.75, y: 0.5 },
+    ],
+    shots: 1,
+    goal: { pot: [1] },
+    ...changes,
+  };
+}
+
+test("parseReplay reads a recorded shot", () => {
+  const replay = PoolFormats.parseReplay(replayText());
+  assert.equal(replay.balls.length, 2);
+  assert.equal(replay.frames.length, 2);
+  assert.deepEqual(replay.events, []);
+});
+
+test("parseReplay rejects other files", () => {
+  assert.throws(() => PoolFormats.parseReplay("{"), /not a JSON file/);
+  assert.throws(
+    () => PoolFormats.parseReplay(JSON.stringify({ format: "x" })),
+    /not a pool replay/
+  );
+  assert.throws(
+    () => PoolFormats.parseReplay(replayText({ version: 99 })),
+    /unsupported version 99/
+  );
+  assert.throws(
+    () => PoolFormats.parseReplay(replayText({ frames: [] })),
+    /incomplete/
+  );
+  assert.throws(
+    () => PoolFormats.parseReplay(replayText({ frames: [[[1, 2]]] })),
+    /incomplete/
+  );
+});
+
+test("parseReplay rejects frames with bad positions", () => {
+  for (const bad of [[1, "2"], [1], [1, 2, 3], {}, 5, "x", [null, 2]]) {
+    const frames = [[[200, 200], bad]];
+    assert.throws(
+      () => PoolFormats.parseReplay(replayText({ frames })),
+      /incomplete/,
+      JSON.stringify(bad)
+    );
+  }
+});
+
+test("the bundled level pack parses", () => {
+  const file = path.join(__dirname, "..", "levels", "challenges.json");
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  const parsed = PoolFormats.parseLevelPack(data, POOL_TABLES);
+  assert.equal(parsed.levels.length, data.levels.length);
+  for (const l of parsed.levels) assert.equal(typeof l.name, "string");
+});
+
+test("parseLevelPack drops levels it can't play", () => {
+  const parsed = PoolFormats.parseLevelPack(
+    pack([
+      level(),
+      level({ id: "far", balls: [{ number: 0, x: 1.5, y: 0.5 }] }),
+      level({ id: "no-shots", shots: 0 }),
+      level({ id: "snooker", table: "snooker" }),
+      level({ id: "pocket", goal: { pot: [1], pocket: "middle" } }),
+    ]),
+    POOL_TABLES
+  );
+  assert.deepEqual(
+    parsed.levels.map((l) => l.id),
+    ["one"]
+  );
+  assert.equal(parsed.name, "test");
+});
+
+test("parseLevelPack checks goals, shot counts and ball numbers", () => {
+  const twice = [
+    { number: 1, x: 0.5, y: 0.5 },
+    { number: 1, x: 0.6, y: 0.5 },
+  ];
+  const parsed = PoolFormats.parseLevelPack(
+    pack([
+      level({ id: "par", par: 1, shots: 2 }),
+      level({ id: "pot-text", goal: { pot: ["1"] } }),
+      level({ id: "pot-cue", goal: { pot: [0] } }),
+      level({ id: "pot-16", goal: { pot: [16] } }),
+      level({ id: "pot-not-list", goal: { pot: 1 } }),
+      level({ id: "avoid", goal: { pot: [1], avoid: [2.5] } }),
+      level({ id: "first", goal: { pot: [1], firstContact: "1" } }),
+      level({ id: "shots", shots: 1.5 }),
+      level({ id: "par-zero", par: 0 }),
+      level({ id: "par-text", par: "2" }),
+      level({ id: "zone", goal: { zone: { x: 0, y: 0, w: 2, h: 1 } } }),
+      level({ id: "twice", balls: twice }),
+      level({ id: "no-goal", goal: null }),
+    ]),
+    POOL_TABLES
+  );
+  assert.deepEqual(
+    parsed.levels.map((l) => l.id),
+    ["par"]
+  );
+});
+
+test("parseLevelPack rejects other files", () => {
+  assert.throws(() => PoolFormats.parseLevelPack(null), /not a level pack/);
+  assert.throws(
+    () => PoolFormats.parseLevelPack({ ...pack([level()]), version: 2 }),
+    /unsupported version 2/
+  );
+  assert.throws(
+    () => PoolFormats.parseLevelPack(pack([level({ shots: 0 })])),
+    /no playable levels/
+  );
+});
@@ -0,0 +1,99 @@
+// Determinism checks for physics.js: the same break must end in the same
+// table every time, because online play and replays depend on it.
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const PoolPhysics = require("../physics.js");
+
+// The 9 ft table from game.js (TABLE plus the pool9 profile).
+const TABLE = {
+  width: 800,
+  height: 400,
+  rail: 22,
+  ballRadius: 10,
+  cornerMouth: 2.5,
+  sideMouth: 2.7,
+  ...PoolPhysics.CLOTH_PRESETS.standard,
+  cushionRestitution: 0.9,
+  cushionSpeedLoss: 0.02,
+  jawRestitution: 0.6,
+  pocketTightness: 0.5,
+  cornerJawAngle: 52,
+  sideJawAngle: 14,
+};
+
+function ball(x, y, isCue = false) {
+  const r = TABLE.ballRadius;
+  return {
+    x,
+    y,
+    vx: 0,
+    vy: 0,
+    spinX: 0,
+    spinY: 0,
+    side: 0,
+    r,
+    pocketed: false,
+    isCue,
+  };
+}
+
+// A 15-ball triangle on the foot spot and the cue ball in the kitchen.
+function breakState() {
+  const balls = [ball(TABLE.width * 0.25, TABLE.height / 2, true)];
+  const gap = TABLE.ballRadius * 2 + 0.5;
+  for (let row = 0; row < 5; row++) {
+    for (let i = 0; i <= row; i++) {
+      balls.push(
+        ball(
+          TABLE.width * 0.7 + (row * gap * Math.sqrt(3)) / 2,
+          TABLE.height / 2 + (i - row / 2) * gap
+        )
+      );
+    }
+  }
+  return {
+    table: TABLE,
+    pockets: PoolPhysics.createPockets(TABLE),
+    balls,
+  };
+}
+
+function playBreak() {
+  const state = breakState();
+  const dir = { x: 1, y: 0.004 };
+  const speed = PoolPhysics.MAX_CUE_SPEED;
+  PoolPhysics.strike(state.balls[0], dir, speed, { x: 0.2, y: -0.3 });
+  const events = PoolPhysics.simulate(state, 3600);
+  return { state, events };
+}
+
+test("the same break gives the same checksum", () => {
+  const first = playBreak();
+  const second = playBreak();
+  assert.equal(
+    PoolPhysics.checksum(first.state.balls),
+    PoolPhysics.checksum(second.state.balls)
+  );
+  assert.deepEqual(first.events, second.events);
+});
+
+test("a break moves the rack and comes to rest", () => {
+  const { state, events } = playBreak();
+  assert.notEqual(
+    PoolPhysics.checksum(state.balls),
+    PoolPhysics.checksum(breakState().balls)
+  );
+  assert.ok(events.some((ev) => ev.type === "contact"));
+  assert.equal(PoolPhysics.isMoving(state), false);
+});
+
+test("simulating a clone leaves the original balls alone", () => {
+  const state = breakState();
+  const before = PoolPhysics.checksum(state.balls);
+  const copy = { ...state, balls: PoolPhysics.cloneBalls(state.balls) };
+  PoolPhysics.strike(copy.balls[0], { x: 1, y: 0 }, 10);
+  PoolPhysics.simulate(copy);
+  assert.equal(PoolPhysics.checksum(state.balls), before);
+});
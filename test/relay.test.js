@@ -0,0 +1,94 @@
+// The relay's WebSocket frame codec (server/relay.js).
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  serveFile,
+  encodeFrame,
+  readFrames,
+  MAX_MESSAGE_BYTES,
+} = require("../server/relay.js");
+
+// Browsers mask every frame they send.
+function maskFrame(frame, mask) {
+  const lenByte = frame[1] & 0x7f;
+  const payloadStart = lenByte === 126 ? 4 : lenByte === 127 ? 10 : 2;
+  const header = Buffer.from(frame.subarray(0, payloadStart));
+  header[1] |= 0x80;
+  const payload = Buffer.from(frame.subarray(payloadStart));
+  for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+  return Buffer.concat([header, Buffer.from(mask), payload]);
+}
+
+function read(buffer) {
+  const frames = [];
+  const rest = readFrames(buffer, (frame) => frames.push(frame));
+  return { frames, rest };
+}
+
+test("frames round-trip at every length encoding", () => {
+  for (const size of [0, 5, 125, 126, 300, 65535, 65536]) {
+    const payload = Buffer.alloc(size, "a");
+    const { frames, rest } = read(encodeFrame(0x1, payload));
+    assert.equal(frames.length, 1, `size ${size}`);
+    assert.equal(frames[0].fin, true);
+    assert.equal(frames[0].opcode, 0x1);
+    assert.ok(frames[0].payload.equals(payload));
+    assert.equal(rest.length, 0);
+  }
+});
+
+test("masked client frames are unmasked", () => {
+  const text = JSON.stringify({ type: "chat", text: "good shot" });
+  const masked = maskFrame(encodeFrame(0x1, Buffer.from(text)), [1, 2, 3, 4]);
+  const { frames } = read(masked);
+  assert.equal(frames[0].payload.toString("utf8"), text);
+});
+
+test("partial frames are left for the next chunk", () => {
+  const frame = encodeFrame(0x1, Buffer.from("hello"));
+  const both = Buffer.concat([frame, frame.subarray(0, 3)]);
+  const first = read(both);
+  assert.equal(first.frames.length, 1);
+  assert.equal(first.rest.length, 3);
+  const second = read(Buffer.concat([first.rest, frame.subarray(3)]));
+  assert.equal(second.frames[0].payload.toString("utf8"), "hello");
+  assert.equal(second.rest.length, 0);
+});
+
+test("oversized frames are refused", () => {
+  const header = Buffer.alloc(10);
+  header[0] = 0x81;
+  header[1] = 127;
+  header.writeBigUInt64BE(BigInt(MAX_MESSAGE_BYTES + 1), 2);
+  assert.throws(() => read(header), /frame too large/);
+});
+
+// Just the parts of http.ServerResponse that serveFile uses.
+function serve(url) {
+  return new Promise((resolve) => {
+    const res = {
+      writeHead(status) {
+        this.status = status;
+      },
+      end(body) {
+        resolve({ status: this.status, body: String(body) });
+      },
+    };
+    serveFile({ url }, res);
+  });
+}
+
+test("serveFile answers malformed paths with 400", async () => {
+  assert.equal((await serve("/%E0%A4%A")).status, 400);
+  assert.equal((await serve("/game%")).status, 400);
+  assert.equal((await serve("//%zz")).status, 400);
+});
+
+test("serveFile serves game files and nothing outside the tree", async () => {
+  assert.equal((await serve("/")).status, 200);
+  assert.equal((await serve("/physics.js")).status, 200);
+  assert.equal((await serve("/%2e%2e/etc/passwd")).status, 404);
+  assert.equal((await serve("/missing.js")).status, 404);
+});